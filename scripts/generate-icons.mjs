@@ -0,0 +1,173 @@
+/**
+ * Generate the PNG app icons from the favicon design
+ *
+ * Rasterizes the favicon.svg artwork (ringed circle with a "T") in plain
+ * Node, without an image library, so icons can be regenerated anywhere:
+ *
+ *   node scripts/generate-icons.mjs
+ */
+
+import { writeFileSync } from "node:fs";
+import { deflateSync } from "node:zlib";
+
+const OUTPUT_DIR = new URL("../src/icons/", import.meta.url);
+
+// Samples per axis for anti-aliasing
+const SUPERSAMPLING = 4;
+
+/**
+ * Icons to generate
+ * Maskable icons are full-bleed and keep the artwork inside the 80% safe zone.
+ * The Apple touch icon uses the same layout, since iOS fills transparency black
+ */
+const ICONS = [
+  { name: "apple-touch-icon.png", size: 180, maskable: true },
+  { name: "icon-192.png", size: 192, maskable: false },
+  { name: "icon-512.png", size: 512, maskable: false },
+  { name: "icon-maskable-512.png", size: 512, maskable: true },
+];
+
+/**
+ * "T" glyph as rectangles in the favicon's 100×100 viewBox
+ * Approximates bold Courier: crossbar with serifs, stem and foot
+ */
+const GLYPH = [
+  [32, 37, 68, 43], // Crossbar
+  [32, 37, 36, 47], // Left serif
+  [64, 37, 68, 47], // Right serif
+  [46.5, 37, 53.5, 71], // Stem
+  [40, 66, 60, 71], // Foot
+];
+
+/**
+ * Get the color of a point in viewBox coordinates
+ * @param {number} x - X in the 100×100 viewBox
+ * @param {number} y - Y in the 100×100 viewBox
+ * @param {boolean} maskable - Whether the background is full-bleed
+ * @returns {number|null} Gray level (0 black, 255 white), null for transparent
+ */
+function sample(x, y, maskable) {
+  const distance = Math.hypot(x - 50, y - 50);
+  const inGlyph = GLYPH.some(
+    ([x1, y1, x2, y2]) => x >= x1 && x < x2 && y >= y1 && y < y2,
+  );
+
+  if (inGlyph) return 0;
+  if (distance <= 42) return 255; // Circle fill
+  if (distance <= 48) return 0; // Ring (r=45, stroke-width=6)
+  return maskable ? 255 : null;
+}
+
+/**
+ * Render an icon to RGBA pixels
+ * @param {number} size - Icon size in pixels
+ * @param {boolean} maskable - Whether to render a maskable icon
+ * @returns {Buffer} RGBA pixel rows
+ */
+function render(size, maskable) {
+  const pixels = Buffer.alloc(size * size * 4);
+  // Maskable artwork is scaled to 80% and centered
+  const scale = maskable ? 0.8 : 1;
+  const offset = (100 - 100 / scale) / 2;
+
+  for (let py = 0; py < size; py++) {
+    for (let px = 0; px < size; px++) {
+      let gray = 0;
+      let coverage = 0;
+
+      for (let sy = 0; sy < SUPERSAMPLING; sy++) {
+        for (let sx = 0; sx < SUPERSAMPLING; sx++) {
+          const x = ((px + (sx + 0.5) / SUPERSAMPLING) / size) * 100;
+          const y = ((py + (sy + 0.5) / SUPERSAMPLING) / size) * 100;
+          const value = sample(
+            x / scale + offset,
+            y / scale + offset,
+            maskable,
+          );
+          if (value !== null) {
+            gray += value;
+            coverage++;
+          }
+        }
+      }
+
+      const i = (py * size + px) * 4;
+      const level = coverage > 0 ? Math.round(gray / coverage) : 0;
+      pixels[i] = pixels[i + 1] = pixels[i + 2] = level;
+      pixels[i + 3] = Math.round((coverage / SUPERSAMPLING ** 2) * 255);
+    }
+  }
+  return pixels;
+}
+
+/**
+ * Compute the CRC-32 of a buffer (as used by PNG chunks)
+ * @param {Buffer} buffer - Data
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 1 ? (crc >>> 1) ^ 0xedb88320 : crc >>> 1;
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a PNG chunk
+ * @param {string} type - Four-letter chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} Length, type, data and CRC
+ */
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  const crc = Buffer.alloc(4);
+  const typeAndData = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  length.writeUInt32BE(data.length);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Encode RGBA pixels as a PNG file
+ * @param {number} size - Width and height in pixels
+ * @param {Buffer} pixels - RGBA pixel rows
+ * @returns {Buffer} PNG file contents
+ */
+function encodePNG(size, pixels) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header[8] = 8; // Bit depth
+  header[9] = 6; // Color type: RGBA
+
+  // Prefix every row with filter type 0 (none)
+  const rowLength = size * 4;
+  const raw = Buffer.alloc((rowLength + 1) * size);
+  for (let y = 0; y < size; y++) {
+    pixels.copy(
+      raw,
+      y * (rowLength + 1) + 1,
+      y * rowLength,
+      (y + 1) * rowLength,
+    );
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", header),
+    chunk("IDAT", deflateSync(raw, { level: 9 })),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+for (const { name, size, maskable } of ICONS) {
+  writeFileSync(
+    new URL(name, OUTPUT_DIR),
+    encodePNG(size, render(size, maskable)),
+  );
+  console.log(`Wrote src/icons/${name}`);
+}
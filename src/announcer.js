@@ -0,0 +1,169 @@
+/**
+ * Screen-reader announcements
+ * The time on screen changes every frame, so screen readers get their own
+ * messages through an ARIA live region instead: phase changes, the countdown
+ * and the final seconds. Messages are throttled so they don't pile up.
+ */
+
+import { now, setTimer } from "./clock.js";
+import { ANNOUNCE_CONFIG } from "./config.js";
+import { elements } from "./ui.js";
+import { t, plural } from "./i18n.js";
+import { on, TimerEvent } from "./events.js";
+import { createProgressTracker } from "./progress.js";
+
+// Final seconds already announced in the current phase
+const progress = createProgressTracker();
+
+// Clock time of the last message put into the live region
+let lastAnnouncedAt = -Infinity;
+
+// Latest message waiting for the throttle, and its timeout
+let pendingMessage = null;
+let pendingTimeoutId = null;
+
+/**
+ * Announce a message to screen readers
+ * Within ANNOUNCE_CONFIG.minInterval of the previous message, only the latest
+ * message is kept and announced once the interval has passed
+ *
+ * @param {string} message - Text to announce
+ */
+export function announce(message) {
+  pendingMessage = message;
+  if (pendingTimeoutId !== null) return;
+
+  const wait = lastAnnouncedAt + ANNOUNCE_CONFIG.minInterval - now();
+  if (wait > 0) {
+    pendingTimeoutId = setTimer(flush, wait);
+  } else {
+    flush();
+  }
+}
+
+/**
+ * Put the pending message into the live region
+ */
+function flush() {
+  pendingTimeoutId = null;
+  lastAnnouncedAt = now();
+  elements.liveRegion.textContent = pendingMessage;
+}
+
+/**
+ * Describe a duration in words, e.g. "1 minute 30 seconds"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Minutes and seconds, rounded up to the second
+ */
+function describeDuration(ms) {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+
+  const parts = [];
+  if (minutes > 0) parts.push(plural("cue.minutes", minutes));
+  if (seconds > 0 || minutes === 0) parts.push(plural("cue.seconds", seconds));
+  return parts.join(" ");
+}
+
+/**
+ * Announce a number of the get-ready countdown
+ * A long countdown is announced at its start, every 10 seconds and in its final seconds
+ * @param {number} count - Seconds left in the countdown
+ * @param {number} total - Length of the countdown, in seconds
+ */
+export function announceCountdown(count, total) {
+  const isAnnounced =
+    count === total ||
+    count % 10 === 0 ||
+    count <= ANNOUNCE_CONFIG.finalSeconds;
+  if (isAnnounced) {
+    announce(t("countdown.startingIn", { count }));
+  }
+}
+
+/**
+ * Announce the step that just started
+ * e.g. "Work, 20 seconds. Round 5 of 8" or "Rest, 10 seconds. Next: Work"
+ *
+ * @param {import("./program.js").Step} step - Step that started
+ * @param {import("./program.js").Step|null} nextStep - Following step, or null on the last step
+ * @param {number} totalTime - Duration of the step (Infinity for the stopwatch)
+ */
+export function announceStep(step, nextStep, totalTime) {
+  progress.sync(0);
+
+  const parts = [
+    Number.isFinite(totalTime)
+      ? t("announce.step", {
+          name: step.name,
+          duration: describeDuration(totalTime),
+        })
+      : step.name,
+    ...step.repetitions
+      .filter((repetition) => repetition.count > 1)
+      .map((repetition) => t("cue.repetition", repetition)),
+  ];
+  if (!step.isWork && nextStep) {
+    parts.push(t("cue.next", { name: nextStep.name }));
+  }
+  announce(parts.join(". "));
+}
+
+/**
+ * Announce the final seconds of the current phase
+ * Each second is announced once, when the elapsed time first passes it
+ *
+ * @param {number} elapsed - Elapsed time in the current phase, in milliseconds
+ * @param {number} totalTime - Duration of the current phase, in milliseconds
+ */
+export function announceProgress(elapsed, totalTime) {
+  const hasPassed = progress.advance(elapsed);
+  if (!Number.isFinite(totalTime)) return;
+
+  for (let seconds = ANNOUNCE_CONFIG.finalSeconds; seconds >= 1; seconds--) {
+    if (hasPassed(totalTime - seconds * 1000)) {
+      announce(String(seconds));
+    }
+  }
+}
+
+/**
+ * Continue progress announcements from the given position (after resuming)
+ * Seconds already passed are not repeated
+ * @param {number} elapsed - Elapsed time in the current phase, in milliseconds
+ */
+export function syncProgress(elapsed) {
+  progress.sync(elapsed);
+}
+
+/**
+ * Announce the end of the workout
+ */
+export function announceFinish() {
+  announce(t("finish.complete"));
+}
+
+/**
+ * Announce the timer events to screen readers
+ */
+export function subscribeToTimer() {
+  on(TimerEvent.COUNTDOWN_TICK, ({ count, total }) =>
+    announceCountdown(count, total),
+  );
+  on(TimerEvent.START, ({ step, nextStep, totalTime }) =>
+    announceStep(step, nextStep, totalTime),
+  );
+  on(TimerEvent.PHASE_START, ({ step, nextStep, totalTime }) =>
+    announceStep(step, nextStep, totalTime),
+  );
+  on(TimerEvent.PAUSE, () => announce(t("announce.paused")));
+  on(TimerEvent.RESUME, ({ elapsed }) => {
+    syncProgress(elapsed);
+    announce(t("announce.resumed"));
+  });
+  on(TimerEvent.TICK, ({ elapsed, totalTime }) =>
+    announceProgress(elapsed, totalTime),
+  );
+  on(TimerEvent.FINISH, announceFinish);
+}
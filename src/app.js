@@ -9,126 +9,1314 @@ import * as timer from "./timer.js";
 import * as audio from "./audio.js";
 import * as ui from "./ui.js";
 import * as vibration from "./vibration.js";
+import * as voice from "./voice.js";
+import * as announcer from "./announcer.js";
+import * as i18n from "./i18n.js";
+import * as settings from "./settings.js";
+import * as presets from "./presets.js";
+import * as session from "./session.js";
+import * as history from "./history.js";
+import * as stats from "./stats.js";
+import * as transfer from "./transfer.js";
+import * as pwa from "./pwa.js";
+import * as wakeLock from "./wakelock.js";
+import * as mediaSession from "./mediasession.js";
+import * as share from "./share.js";
+import * as sync from "./sync.js";
+import * as display from "./display.js";
+import * as theme from "./theme.js";
+import * as events from "./events.js";
+import * as plugins from "./plugins.js";
+import { TimerEvent } from "./events.js";
+import { countWorkSteps, CONFIG_FIELDS, TimerMode } from "./program.js";
+import {
+  SOUND_THEMES,
+  COLOR_THEMES,
+  ADJUST_CONFIG,
+  LOCALES,
+  PREP_CONFIG,
+} from "./config.js";
 
 /**
- * Handle phase switching (work ↔ rest)
- * Updates state, UI, plays sound, and triggers vibration
+ * Setting inputs and the config keys they control
+ * Units and limits come from CONFIG_FIELDS
+ */
+const SETTING_INPUTS = [
+  { input: "workTimeInput", key: "workTime" },
+  { input: "restTimeInput", key: "restTime" },
+  { input: "roundsInput", key: "rounds" },
+  { input: "setsInput", key: "sets" },
+  { input: "setRestTimeInput", key: "setRestTime" },
+  { input: "warmupTimeInput", key: "warmupTime" },
+  { input: "cooldownTimeInput", key: "cooldownTime" },
+  { input: "countdownTimeInput", key: "countdownTime" },
+];
+
+/**
+ * Write the current settings back into the setting inputs
+ */
+function syncSettingInputs() {
+  for (const { input, key } of SETTING_INPUTS) {
+    ui.elements[input].value = state[key] / CONFIG_FIELDS[key].unit;
+  }
+  ui.renderExercises(state.exercises, state.workTime);
+  ui.setMode(state.mode);
+}
+
+/**
+ * Check if a workout is in progress (running or paused)
+ * @returns {boolean} True while the session can be adjusted
+ */
+function isSessionActive() {
+  return (
+    state.status === TimerStatus.RUNNING || state.status === TimerStatus.PAUSED
+  );
+}
+
+/**
+ * Refresh phase color, segment info and phase counter from state
+ */
+function updatePhaseUI() {
+  ui.setPhaseColor(state.isWorkPhase);
+  ui.updateStepInfo(timer.getCurrentStep(), timer.getNextStep());
+  ui.updatePhaseCount(state.phaseCount, countWorkSteps(state.steps));
+  updateAdjustUI();
+}
+
+/**
+ * Refresh the adjustment and lap buttons and the altered-phase indicator
+ */
+function updateAdjustUI() {
+  const isActive = isSessionActive();
+  ui.setAdjustControls(isActive, isActive && timer.canExtendRest());
+  ui.setLapButton(state.status === TimerStatus.RUNNING);
+  ui.setPhaseAdjustment(
+    isActive ? (state.adjustments[state.stepIndex] ?? 0) : 0,
+  );
+}
+
+/**
+ * Refresh the round, total times and progress bar of the session
+ */
+function updateSessionUI() {
+  const duration = timer.getSessionDuration();
+  ui.updateSessionInfo(
+    Math.min(timer.getSessionElapsed(), duration),
+    duration,
+    timer.getCurrentStep(),
+  );
+}
+
+/**
+ * Describe the current phase for the timer events
+ * @param {boolean} afterPrep - Whether the phase was held for a get-ready countdown (default: false)
+ * @returns {import("./events.js").PhaseDetail} Current step and its position
+ */
+function getPhaseDetail(afterPrep = false) {
+  return {
+    step: timer.getCurrentStep(),
+    nextStep: timer.getNextStep(),
+    index: state.stepIndex,
+    totalTime: state.totalTime,
+    isRunning: state.status === TimerStatus.RUNNING,
+    afterPrep,
+  };
+}
+
+/**
+ * Signal the end of the current phase
+ * @param {number} elapsed - Time spent in the phase, in milliseconds
+ * @param {boolean} skipped - Whether it is left before its end
+ */
+function emitPhaseEnd(elapsed, skipped) {
+  events.emit(TimerEvent.PHASE_END, {
+    step: timer.getCurrentStep(),
+    index: state.stepIndex,
+    elapsed,
+    skipped,
+  });
+}
+
+/**
+ * Handle phase switching (advance to the next program step)
+ * Updates state and UI, and signals the end and start of the phases
+ * Finishes the workout instead when the last step ends, and holds a set
+ * for its get-ready countdown when enabled
  */
 function handlePhaseSwitch() {
+  emitPhaseEnd(state.totalTime, false);
+  if (timer.isLastStep()) {
+    handleFinish();
+    return;
+  }
+
+  history.recordPhaseTime(state.isWorkPhase, state.totalTime);
   timer.switchPhase();
-  ui.setPhaseColor(state.isWorkPhase);
-  ui.updatePhaseCount(state.phaseCount);
-  audio.playBeep();
-  vibration.vibratePhaseChange();
+  updatePhaseUI();
+  if (timer.hasPrepBefore(state.stepIndex)) {
+    timer.holdAtStepStart();
+    session.saveSession(true);
+    prepareSet();
+    return;
+  }
+  events.emit(TimerEvent.PHASE_START, getPhaseDetail());
+  session.saveSession(true);
+}
+
+/**
+ * Run the get-ready countdown of a held set, then continue with it
+ */
+async function prepareSet() {
+  if (!(await runPrep(state.settings.prep.duration))) return;
+
+  timer.start();
+  events.emit(TimerEvent.PHASE_START, getPhaseDetail(true));
+  continueRunning();
+}
+
+/**
+ * Handle an animation frame while running
+ * Redraws the display and periodically snapshots the session
+ * @param {number} elapsed - Elapsed time in the current phase
+ * @param {number} totalTime - Total time of the current phase
+ */
+function handleFrame(elapsed, totalTime) {
+  ui.updateDisplay(elapsed, totalTime);
+  updateSessionUI();
+  session.saveSession();
+}
+
+/**
+ * Handle a background tick while running
+ * Drives the progress cues, which must not depend on the page painting
+ * @param {number} elapsed - Elapsed time in the current phase
+ * @param {number} totalTime - Total time of the current phase
+ */
+function handleTick(elapsed, totalTime) {
+  events.emit(TimerEvent.TICK, { elapsed, totalTime });
+  publishState();
+}
+
+/**
+ * Reflect the timer outside the page: in gym display tabs and the media session
+ * @param {import("./events.js").CountdownTickDetail|null} countdown - Countdown while counting down (default: null)
+ */
+function publishState(countdown = null) {
+  sync.broadcastState({
+    mode: state.mode,
+    status: state.status,
+    countdown,
+    step: timer.getCurrentStep(),
+    nextStep: timer.getNextStep(),
+    elapsed: timer.getElapsed(),
+    totalTime: state.totalTime,
+    phaseCount: state.phaseCount,
+    workSteps: countWorkSteps(state.steps),
+    adjustment: state.adjustments[state.stepIndex] ?? 0,
+    sessionElapsed: timer.getSessionElapsed(),
+    sessionDuration: timer.getSessionDuration(),
+  });
+  syncMediaSession();
+}
+
+/**
+ * Reflect the timer in the media session (lock screen, headphones)
+ */
+function syncMediaSession() {
+  // Counting down plays too, so the controls work from the first click
+  const isCountingDown = state.status === TimerStatus.COUNTDOWN;
+  if (!isSessionActive() && !isCountingDown) {
+    mediaSession.clearMediaSession();
+    return;
+  }
+
+  mediaSession.updateMediaSession(
+    timer.getCurrentStep(),
+    timer.getElapsed(),
+    state.totalTime,
+    state.status === TimerStatus.RUNNING || isCountingDown,
+  );
+}
+
+/**
+ * Handle workout completion
+ * Shows the finished screen and plays the end-of-workout cues
+ * @param {number} phaseTime - Time spent in the last phase (default: all of it)
+ */
+function handleFinish(phaseTime = state.totalTime) {
+  history.recordPhaseTime(state.isWorkPhase, phaseTime);
+  timer.finish();
+  wakeLock.releaseWakeLock();
+  session.clearSession();
+  history.finishRecord(true);
+  ui.updatePhaseCount(state.phaseCount, countWorkSteps(state.steps));
+  updateAdjustUI();
+  updateSessionUI();
+  events.emit(TimerEvent.FINISH, {
+    phaseCount: state.phaseCount,
+    sessionElapsed: Math.min(
+      timer.getSessionElapsed(),
+      timer.getSessionDuration(),
+    ),
+  });
+  publishState();
 }
 
 /**
  * Toggle between running and paused states
- * Includes countdown when starting from beginning (pausedTime === 0)
+ * Runs the get-ready countdown when starting from the beginning (idle), and
+ * before resuming when enabled
  */
 async function handleToggleTimer() {
   if (state.status === TimerStatus.RUNNING) {
     // Pause the running timer
     timer.pause();
-    state.pausedTime = timer.getElapsed();
-    ui.setStartStopButton(false);
-    ui.setTimerRunning(false);
+    wakeLock.releaseWakeLock();
+    history.recordPause();
+    updateAdjustUI();
+    events.emit(TimerEvent.PAUSE, {
+      elapsed: timer.getElapsed(),
+      totalTime: state.totalTime,
+    });
+    session.saveSession(true);
+    publishState();
   } else if (state.status === TimerStatus.COUNTDOWN) {
     // Cancel countdown if user clicks during countdown
+    // Idle again before the workout, paused during it
     timer.cancelCountdown();
-    ui.setStartStopButton(false);
-    ui.updateDisplay(0, state.totalTime);
+    wakeLock.releaseWakeLock();
+    if (state.status === TimerStatus.PAUSED) {
+      history.recordPause();
+      updateAdjustUI();
+      events.emit(TimerEvent.PAUSE, {
+        elapsed: timer.getElapsed(),
+        totalTime: state.totalTime,
+      });
+      session.saveSession(true);
+    }
   } else {
-    // Starting or resuming
-    const isStartingFresh = state.pausedTime === 0;
+    // Starting again after a finished workout begins a new one
+    if (state.status === TimerStatus.FINISHED) {
+      handleReset();
+    }
 
-    if (isStartingFresh) {
-      // Run countdown before starting
-      const completed = await timer.countdown((count) => {
-        // On each countdown tick
-        ui.showCountdown(count);
-        audio.playCountdownBeep(count);
-        vibration.vibrateCountdown(count);
-      });
+    // Starting or resuming, after the get-ready countdown
+    const isStartingFresh = state.status === TimerStatus.IDLE;
+    wakeLock.requestWakeLock();
 
-      // If countdown was cancelled, don't start
-      if (!completed) {
-        ui.setStartStopButton(false);
-        ui.updateDisplay(0, state.totalTime);
-        return;
-      }
+    const prep = state.settings.prep;
+    let seconds = prep.duration;
+    if (!isStartingFresh) {
+      seconds = prep.beforeResume ? PREP_CONFIG.resumeDuration : 0;
     }
+    if (!(await runPrep(seconds))) return;
 
     // Start or resume timer
     timer.start();
-    ui.setStartStopButton(true);
-    ui.setTimerRunning(true);
-    timer.startAnimationLoop(ui.updateDisplay, handlePhaseSwitch);
+    if (isStartingFresh) {
+      history.startRecord(timer.getConfig());
+      events.emit(TimerEvent.START, getPhaseDetail());
+    } else {
+      history.recordResume();
+      events.emit(TimerEvent.RESUME, {
+        elapsed: timer.getElapsed(),
+        totalTime: state.totalTime,
+      });
+    }
+    continueRunning();
   }
 }
 
+/**
+ * Run a get-ready countdown in the get-ready colors
+ * @param {number} seconds - Length of the countdown (0 to skip it)
+ * @returns {Promise<boolean>} True when it ran out, false if it was cancelled or the timer reset
+ */
+async function runPrep(seconds) {
+  if (seconds === 0) return true;
+
+  ui.setPreparing(true);
+  ui.setStartStopButton(true);
+  const countdown = timer.countdown(seconds, (count) => {
+    const detail = { count, total: seconds };
+    events.emit(TimerEvent.COUNTDOWN_TICK, detail);
+    publishState(detail);
+  });
+  updateAdjustUI();
+  const completed = await countdown;
+  ui.setPreparing(false);
+
+  // If countdown was cancelled, don't start
+  if (!completed) {
+    ui.setStartStopButton(false);
+    ui.updateDisplay(timer.getElapsed(), state.totalTime);
+    publishState();
+  }
+  return completed;
+}
+
+/**
+ * Keep the timer going once it was started, resumed or released after a countdown
+ */
+function continueRunning() {
+  updateAdjustUI();
+  session.saveSession(true);
+  timer.startAnimationLoop(handleFrame, handlePhaseSwitch, handleTick);
+  publishState();
+}
+
+/**
+ * Skip forward or go back whole phases while a workout is in progress
+ * The new phase starts from its beginning; skipping past the last phase finishes the workout
+ * @param {number} offset - Steps to move, e.g. 1 for the next phase or -1 for the previous one
+ */
+function handleStepChange(offset) {
+  if (!isSessionActive()) return;
+
+  const phaseTime = Math.min(timer.getElapsed(), state.totalTime);
+  emitPhaseEnd(phaseTime, true);
+  if (offset > 0 && timer.isLastStep()) {
+    handleFinish(phaseTime);
+    return;
+  }
+
+  history.recordPhaseTime(state.isWorkPhase, phaseTime);
+  timer.jumpToStep(state.stepIndex + offset);
+  updatePhaseUI();
+  ui.updateDisplay(timer.getElapsed(), state.totalTime);
+  updateSessionUI();
+  events.emit(TimerEvent.PHASE_START, getPhaseDetail());
+  session.saveSession(true);
+  publishState();
+}
+
+/**
+ * Add time to or remove time from the current phase
+ * @param {number} amount - Milliseconds to add (negative to remove)
+ */
+function handleAdjustTime(amount) {
+  if (!isSessionActive()) return;
+
+  timer.adjustTime(amount);
+  handlePhaseAdjusted();
+}
+
+/**
+ * Extend the current rest, once per rest
+ */
+function handleExtendRest() {
+  if (!isSessionActive() || !timer.extendRest()) return;
+
+  handlePhaseAdjusted();
+}
+
+/**
+ * Redraw and reschedule after the length of the current phase changed
+ */
+function handlePhaseAdjusted() {
+  updateAdjustUI();
+  ui.updateDisplay(timer.getElapsed(), state.totalTime);
+  updateSessionUI();
+  audio.schedulePhaseCues();
+  session.saveSession(true);
+  publishState();
+}
+
 /**
  * Reset timer to initial state
  */
 function handleReset() {
+  // Log an abandoned session with the time completed so far
+  if (state.record) {
+    history.recordPhaseTime(
+      state.isWorkPhase,
+      Math.min(timer.getElapsed(), state.totalTime),
+    );
+    history.finishRecord(false);
+  }
+
+  wakeLock.releaseWakeLock();
   timer.reset();
-  ui.setPhaseColor(state.isWorkPhase);
-  ui.updatePhaseCount(state.phaseCount);
-  ui.setStartStopButton(false);
-  ui.setTimerRunning(false);
+  session.clearSession();
+  events.emit(TimerEvent.RESET, {});
+  updatePhaseUI();
   ui.updateDisplay(0, state.totalTime);
+  updateSessionUI();
+  publishState();
 }
 
 /**
- * Toggle mute state
+ * Take a stopwatch lap
+ */
+function handleLap() {
+  const isStopwatchRunning =
+    state.mode === TimerMode.STOPWATCH && state.status === TimerStatus.RUNNING;
+  if (!isStopwatchRunning) return;
+
+  timer.addLap();
+  ui.renderLaps(state.laps);
+  audio.playCue("tick");
+  vibration.vibrate(state.settings.vibration.patterns.warning);
+  session.saveSession(true);
+}
+
+/**
+ * Switch between interval, countdown and stopwatch mode
+ * A workout in progress is ended first
+ * @param {Event} e - Change event from a mode radio button
+ */
+function handleModeChange(e) {
+  handleReset();
+  state.mode = e.target.value;
+  timer.rebuildProgram();
+  ui.setMode(state.mode);
+  handleConfigChange();
+}
+
+/**
+ * Toggle the sounds, independently of vibration and voice
  */
 function handleToggleMute() {
-  timer.toggleMute();
-  ui.setMuteButton(state.isMuted);
+  setSoundMuted(!state.settings.sound.muted);
 }
 
 /**
- * Handle work time input change
+ * Mute or unmute the sounds
+ * Cues already scheduled for this phase are dropped or added accordingly
+ * @param {boolean} muted - Whether sounds are muted
  */
-function handleWorkTimeChange(e) {
-  const value = parseInt(e.target.value, 10);
+function setSoundMuted(muted) {
+  updateSettings("sound", { muted });
+  ui.setMuteButton(muted);
+  ui.elements.soundEnabledInput.checked = !muted;
+  audio.schedulePhaseCues();
+}
 
-  // Validate input - reject NaN and negative values
-  if (isNaN(value) || value <= 0) {
-    // Reset input to current valid value
-    e.target.value = Math.floor(state.workTime / 1000);
+/**
+ * Toggle the voice cues, independently of the beeps
+ */
+function handleToggleVoice() {
+  const muted = !state.settings.voice.muted;
+  updateSettings("voice", { muted });
+  ui.setVoiceButton(muted);
+  if (muted) {
+    voice.cancelSpeech();
+  }
+}
+
+/**
+ * Apply and persist changes to one group of the settings
+ * @param {keyof import("./settings.js").Settings} group - Settings group, e.g. "voice"
+ * @param {Object} changes - Changed values
+ */
+function updateSettings(group, changes) {
+  Object.assign(state.settings[group], changes);
+  settings.saveSettings(state.settings);
+}
+
+/**
+ * Render the voice settings with the voices currently available
+ */
+function renderVoiceSettings() {
+  ui.renderVoiceSettings(
+    state.settings.voice,
+    voice.getVoices(),
+    voice.isSpeechSupported(),
+  );
+}
+
+/**
+ * Open the settings screen
+ */
+function handleShowSettings() {
+  renderSettings();
+  ui.showDialog(ui.elements.settingsDialog);
+}
+
+/**
+ * Render every group of the settings screen
+ */
+function renderSettings() {
+  ui.renderLanguageSettings(state.settings.language.locale, LOCALES);
+  renderAppearanceSettings();
+  ui.renderDisplaySettings(state.settings.display);
+  ui.renderPrepSettings(state.settings.prep);
+  ui.renderSoundSettings(state.settings.sound, SOUND_THEMES);
+  renderVibrationSettings();
+  renderVoiceSettings();
+}
+
+/**
+ * Handle the language select
+ * @param {Event} e - Change event from the select
+ */
+async function handleLanguageChange(e) {
+  updateSettings("language", { locale: e.target.value });
+  await i18n.setLocale(state.settings.language.locale);
+  applyLanguage();
+}
+
+/**
+ * Redraw everything on screen in the active language
+ * Step names are part of the program, so it is rebuilt in place
+ */
+function applyLanguage() {
+  i18n.translatePage();
+  timer.rebuildProgram();
+
+  if (state.status === TimerStatus.FINISHED) {
+    ui.setFinished(true);
+  } else {
+    updatePhaseUI();
+    // The countdown keeps its number until the next tick
+    if (state.status !== TimerStatus.COUNTDOWN) {
+      ui.updateDisplay(timer.getElapsed(), state.totalTime);
+    }
+  }
+  ui.setStartStopButton(
+    state.status === TimerStatus.RUNNING ||
+      state.status === TimerStatus.COUNTDOWN,
+  );
+  ui.updateFullscreenButton();
+  updateSessionUI();
+  syncSettingInputs();
+  ui.renderLaps(state.laps);
+  ui.renderPresets(
+    presets.getAllPresets(),
+    presets.findMatchingPreset(timer.getConfig())?.id ?? "",
+  );
+  if (!ui.elements.resumeBanner.hidden) {
+    ui.showResumePrompt(
+      timer.getCurrentStep(),
+      timer.getElapsed(),
+      state.totalTime,
+    );
+  }
+  if (ui.elements.settingsDialog.open) {
+    renderSettings();
+  }
+  if (state.status !== TimerStatus.COUNTDOWN) {
+    publishState();
+  }
+}
+
+/**
+ * Render the appearance settings with the colors currently in effect
+ */
+function renderAppearanceSettings() {
+  ui.renderAppearanceSettings(
+    state.settings.appearance,
+    COLOR_THEMES,
+    theme.getPhaseColors(),
+  );
+}
+
+/**
+ * Handle the color theme select
+ * Custom phase colors are kept on top of the new theme
+ * @param {Event} e - Change event from the select
+ */
+function handleColorThemeChange(e) {
+  updateSettings("appearance", { theme: e.target.value });
+  theme.applyTheme(state.settings.appearance);
+  renderAppearanceSettings();
+}
+
+/**
+ * Handle a phase color picker, applying the color while it is picked
+ * @param {Event} e - Input event from the color input
+ */
+function handlePhaseColorInput(e) {
+  updateSettings("appearance", {
+    colors: {
+      ...state.settings.appearance.colors,
+      [e.target.dataset.phaseColor]: e.target.value,
+    },
+  });
+  theme.applyTheme(state.settings.appearance);
+}
+
+/**
+ * Go back to the phase colors of the theme
+ */
+function handleResetColors() {
+  updateSettings("appearance", {
+    colors: { work: "", rest: "", prep: "" },
+  });
+  theme.applyTheme(state.settings.appearance);
+  renderAppearanceSettings();
+}
+
+/**
+ * Handle a display option checkbox (round, total times, progress bar, tenths)
+ * @param {Event} e - Change event from the checkbox
+ */
+function handleDisplayOptionChange(e) {
+  updateSettings("display", {
+    [e.target.dataset.displayOption]: e.target.checked,
+  });
+  ui.setDisplayOptions(state.settings.display);
+  ui.updateDisplay(timer.getElapsed(), state.totalTime);
+}
+
+/**
+ * Change the length of the get-ready countdown
+ */
+function handlePrepDurationChange(e) {
+  const seconds = parseInt(e.target.value, 10);
+
+  // Reject NaN and values out of range
+  if (isNaN(seconds) || seconds < 0 || seconds > PREP_CONFIG.maxDuration) {
+    e.target.value = state.settings.prep.duration;
     return;
   }
 
-  state.workTime = value * 1000; // Convert seconds to milliseconds
+  updateSettings("prep", { duration: seconds });
+  audio.schedulePhaseCues();
+}
+
+/**
+ * Handle a get-ready option checkbox (before each set, before resuming)
+ * @param {Event} e - Change event from the checkbox
+ */
+function handlePrepOptionChange(e) {
+  updateSettings("prep", { [e.target.dataset.prepOption]: e.target.checked });
+  audio.schedulePhaseCues();
+}
 
-  // Only update if in idle state and is work phase
-  if (state.status === TimerStatus.IDLE && state.isWorkPhase) {
-    state.totalTime = state.workTime;
-    ui.updateDisplay(0, state.totalTime);
+/**
+ * Handle the "sound on" checkbox
+ */
+function handleSoundEnabledChange(e) {
+  setSoundMuted(!e.target.checked);
+}
+
+/**
+ * Select the sound theme and play a preview of it
+ */
+function handleSoundThemeChange(e) {
+  updateSettings("sound", { theme: e.target.value });
+  audio.playPreview();
+  audio.schedulePhaseCues();
+}
+
+/**
+ * Change the master volume while the slider moves
+ */
+function handleVolumeInput(e) {
+  const volume = parseFloat(e.target.value);
+  if (isNaN(volume)) return;
+
+  updateSettings("sound", { volume });
+  ui.setVolumeValue(volume);
+}
+
+/**
+ * Change the number of warning ticks at the end of every phase
+ */
+function handleWarningTicksChange(e) {
+  const ticks = parseInt(e.target.value, 10);
+
+  // Reject NaN and values out of range
+  if (isNaN(ticks) || ticks < 0 || ticks > 10) {
+    e.target.value = state.settings.sound.warningTicks;
+    return;
+  }
+
+  updateSettings("sound", { warningTicks: ticks });
+  audio.schedulePhaseCues();
+}
+
+/**
+ * Turn vibration on or off
+ */
+function handleVibrationEnabledChange(e) {
+  updateSettings("vibration", { enabled: e.target.checked });
+}
+
+/**
+ * Change the number of warning pulses at the end of every phase
+ */
+function handleWarningPulsesChange(e) {
+  const pulses = parseInt(e.target.value, 10);
+
+  // Reject NaN and values out of range
+  if (isNaN(pulses) || pulses < 0 || pulses > 10) {
+    e.target.value = state.settings.vibration.warningPulses;
+    return;
+  }
+
+  updateSettings("vibration", { warningPulses: pulses });
+}
+
+/**
+ * Save an edited vibration pattern
+ * Invalid patterns are reported on the input and not saved
+ */
+function handleVibrationPatternChange(e) {
+  const input = e.target;
+  const pattern = vibration.parsePattern(input.value);
+
+  input.setCustomValidity(pattern ? "" : i18n.t("vibration.invalid"));
+  if (!input.reportValidity()) return;
+
+  state.settings.vibration.patterns[input.dataset.vibrationEvent] = pattern;
+  settings.saveSettings(state.settings);
+}
+
+/**
+ * Preview the pattern of the clicked event
+ */
+function handleVibrationPreview(e) {
+  const button = e.target.closest("[data-vibration-preview]");
+  if (button) {
+    vibration.previewPattern(button.dataset.vibrationPreview);
   }
 }
 
 /**
- * Handle rest time input change
+ * Restore the default vibration patterns
  */
-function handleRestTimeChange(e) {
+function handleResetVibration() {
+  updateSettings("vibration", {
+    patterns: structuredClone(settings.DEFAULT_SETTINGS.vibration.patterns),
+  });
+  renderVibrationSettings();
+}
+
+/**
+ * Render the vibration settings, hiding them on devices that can't vibrate
+ */
+function renderVibrationSettings() {
+  ui.renderVibrationSettings(
+    state.settings.vibration,
+    vibration.isVibrationSupported(),
+  );
+}
+
+/**
+ * Turn a voice cue on or off
+ */
+function handleVoiceCueChange(e) {
+  const cue = e.target.dataset.voiceCue;
+  state.settings.voice.cues[cue] = e.target.checked;
+  settings.saveSettings(state.settings);
+}
+
+/**
+ * Select the voice language
+ * A selected voice of another language falls back to the default voice
+ */
+function handleVoiceLangChange(e) {
+  const lang = e.target.value;
+  const selected = voice
+    .getVoices()
+    .find((candidate) => candidate.voiceURI === state.settings.voice.voiceURI);
+  const voiceURI =
+    !lang || selected?.lang === lang ? state.settings.voice.voiceURI : "";
+
+  updateSettings("voice", { lang, voiceURI });
+  renderVoiceSettings();
+}
+
+/**
+ * Select the voice
+ */
+function handleVoiceSelect(e) {
+  updateSettings("voice", { voiceURI: e.target.value });
+}
+
+/**
+ * Change the speaking rate
+ */
+function handleVoiceRateChange(e) {
+  const rate = parseFloat(e.target.value);
+  if (isNaN(rate)) return;
+
+  updateSettings("voice", { rate });
+  ui.elements.voiceRateValue.textContent = ui.formatRate(rate);
+}
+
+/**
+ * Speak a sample cue with the current voice settings, even when muted
+ */
+function handleTestVoice() {
+  voice.speak(i18n.t("voice.sample"), true);
+}
+
+/**
+ * Restore a saved session as paused and offer to resume it
+ * @param {import("./session.js").SessionSnapshot} snapshot - Saved session
+ */
+function restoreSession(snapshot) {
+  timer.restore(
+    snapshot.config,
+    snapshot.stepIndex,
+    session.getResumeElapsed(snapshot),
+    snapshot.phaseCount,
+    snapshot.adjustments,
+    snapshot.extendedSteps,
+    snapshot.laps,
+  );
+  // Time between the last snapshot and the reload counts as a pause
+  state.record = snapshot.record ?? null;
+  if (snapshot.status === TimerStatus.RUNNING) {
+    history.recordPause(snapshot.savedAt);
+  }
+
+  ui.setFinished(false);
+  updatePhaseUI();
+  ui.setStartStopButton(false);
+  ui.setTimerRunning(false);
+  ui.updateDisplay(timer.getElapsed(), state.totalTime);
+  updateSessionUI();
+  ui.renderLaps(state.laps);
+  ui.showResumePrompt(
+    timer.getCurrentStep(),
+    timer.getElapsed(),
+    state.totalTime,
+  );
+  publishState();
+}
+
+/**
+ * Discard the saved session and start over
+ */
+function handleDiscardSession() {
+  session.clearSession();
+  handleReset();
+}
+
+/**
+ * Handle a change of the workout settings
+ * Persists them, marks the matching preset and restarts the display while idle
+ */
+function handleConfigChange() {
+  const config = timer.getConfig();
+  presets.saveCurrentConfig(config);
+  ui.setSelectedPreset(presets.findMatchingPreset(config));
+
+  if (state.status === TimerStatus.IDLE) {
+    handleReset();
+  } else if (state.status !== TimerStatus.FINISHED) {
+    ui.updateStepInfo(timer.getCurrentStep(), timer.getNextStep());
+    ui.updatePhaseCount(state.phaseCount, countWorkSteps(state.steps));
+    updateSessionUI();
+    audio.schedulePhaseCues();
+    publishState();
+  }
+}
+
+/**
+ * Handle a setting input change
+ * @param {Event} e - Change event from the input
+ * @param {string} key - Config key controlled by the input
+ */
+function handleSettingChange(e, key) {
+  const { unit, min, max } = CONFIG_FIELDS[key];
   const value = parseInt(e.target.value, 10);
 
-  // Validate input - reject NaN and negative values
-  if (isNaN(value) || value <= 0) {
+  // Validate input - reject NaN and values out of range
+  if (isNaN(value) || value < min || value > max) {
     // Reset input to current valid value
-    e.target.value = Math.floor(state.restTime / 1000);
+    e.target.value = Math.floor(state[key] / unit);
+    return;
+  }
+
+  state[key] = value * unit;
+  timer.rebuildProgram();
+  handleConfigChange();
+
+  // Exercises without their own duration show the work time
+  if (key === "workTime") {
+    ui.renderExercises(state.exercises, state.workTime);
+  }
+}
+
+/**
+ * Rebuild the program after the exercise list changed
+ */
+function handleExercisesChange() {
+  timer.rebuildProgram();
+  handleConfigChange();
+}
+
+/**
+ * Append an exercise and focus its name
+ */
+function handleAddExercise() {
+  state.exercises = [
+    ...state.exercises,
+    {
+      name: i18n.t("exercises.defaultName", {
+        number: state.exercises.length + 1,
+      }),
+      note: "",
+      duration: null,
+    },
+  ];
+  handleExercisesChange();
+  ui.renderExercises(state.exercises, state.workTime);
+  ui.elements.exerciseList.lastElementChild.querySelector("input").select();
+}
+
+/**
+ * Handle an edit of an exercise's name, duration or note
+ * Invalid values are reverted
+ */
+function handleExerciseEdit(e) {
+  const { field } = e.target.dataset;
+  const item = e.target.closest("[data-index]");
+  if (!field || !item) return;
+
+  const exercise = state.exercises[Number(item.dataset.index)];
+  const text = e.target.value.trim();
+
+  if (field === "name") {
+    if (!text) {
+      e.target.value = exercise.name;
+      return;
+    }
+    exercise.name = text;
+  } else if (field === "note") {
+    exercise.note = text;
+  } else if (field === "duration") {
+    const seconds = parseInt(text, 10);
+
+    // Empty means the workout's work time, anything else must be valid
+    const { min, max } = CONFIG_FIELDS.workTime;
+    if (text && (isNaN(seconds) || seconds < min || seconds > max)) {
+      e.target.value =
+        exercise.duration === null ? "" : exercise.duration / 1000;
+      return;
+    }
+    exercise.duration = text ? seconds * 1000 : null;
+  }
+
+  handleExercisesChange();
+}
+
+/**
+ * Move or remove the exercise of the clicked button
+ */
+function handleExerciseAction(e) {
+  const button = e.target.closest("[data-action]");
+  if (!button) return;
+
+  const index = Number(button.closest("[data-index]").dataset.index);
+  const exercises = [...state.exercises];
+  const [exercise] = exercises.splice(index, 1);
+
+  if (button.dataset.action === "up") {
+    exercises.splice(index - 1, 0, exercise);
+  } else if (button.dataset.action === "down") {
+    exercises.splice(index + 1, 0, exercise);
+  }
+
+  state.exercises = exercises;
+  handleExercisesChange();
+  ui.renderExercises(state.exercises, state.workTime);
+}
+
+/**
+ * Handle preset selection
+ * Loads the preset's config into the timer and the setting inputs
+ */
+function handlePresetSelect(e) {
+  const preset = presets.findPreset(e.target.value);
+  if (!preset) return;
+
+  timer.applyConfig(preset.config);
+  syncSettingInputs();
+  handleConfigChange();
+}
+
+/**
+ * Copy a link to the current workout
+ * Shows the link instead when the clipboard isn't available
+ */
+async function handleCopyLink() {
+  const link = share.createShareLink(timer.getConfig());
+
+  try {
+    await navigator.clipboard.writeText(link);
+    ui.showNotice(i18n.t("share.copied"));
+  } catch {
+    ui.showNotice(i18n.t("share.link", { link }));
+  }
+}
+
+/**
+ * Load the workout of a shared link, if the page was opened with one
+ * The link is removed from the address bar, so a reload keeps later changes.
+ * A session waiting to be resumed ends and is logged as abandoned.
+ * @returns {boolean} True if a workout was loaded
+ */
+function loadSharedWorkout() {
+  const { config, error } = share.readShareLink(location.hash);
+  if (!config && !error) return false;
+
+  share.clearShareLink();
+  if (error) {
+    ui.showNotice(error);
+    return false;
+  }
+
+  if (state.status === TimerStatus.PAUSED) {
+    handleReset();
+  }
+  timer.applyConfig(config);
+  presets.saveCurrentConfig(timer.getConfig());
+  ui.showNotice(i18n.t("share.loaded"));
+  return true;
+}
+
+/**
+ * Handle a shared link opened in a tab that is already showing the app
+ * Ignored while a workout is in progress
+ */
+function handleHashChange() {
+  if (
+    state.status !== TimerStatus.IDLE &&
+    state.status !== TimerStatus.FINISHED
+  ) {
+    return;
+  }
+
+  if (loadSharedWorkout()) {
+    syncSettingInputs();
+    handleConfigChange();
+  }
+}
+
+/**
+ * Save the current settings as a user preset under the entered name
+ * Saving under an existing name overwrites that preset
+ */
+function handleSavePreset() {
+  const input = ui.elements.presetNameInput;
+  const name = input.value.trim();
+
+  if (!name) {
+    input.setCustomValidity(i18n.t("presets.nameMissing"));
+  } else if (presets.isBuiltInName(name)) {
+    input.setCustomValidity(i18n.t("presets.builtIn"));
+  } else {
+    input.setCustomValidity("");
+  }
+  if (!input.reportValidity()) return;
+
+  const preset = presets.savePreset(name, timer.getConfig());
+  ui.renderPresets(presets.getAllPresets(), preset.id);
+}
+
+/**
+ * Delete the selected user preset
+ */
+function handleDeletePreset() {
+  const preset = presets.findPreset(ui.elements.presetSelect.value);
+  if (!preset || preset.builtIn) return;
+
+  presets.deletePreset(preset.id);
+  ui.elements.presetNameInput.value = "";
+  ui.renderPresets(presets.getAllPresets(), "");
+}
+
+/**
+ * Open the history screen
+ */
+async function handleShowHistory() {
+  await renderHistory();
+  ui.showDialog(ui.elements.historyDialog);
+}
+
+/**
+ * Load the history and render it with its statistics
+ */
+async function renderHistory() {
+  try {
+    const entries = await history.getEntries();
+    ui.renderHistory(
+      stats.getWeeklyTotals(entries),
+      stats.getStreak(entries, Date.now()),
+      stats.groupByDay(entries),
+    );
+  } catch (err) {
+    console.error("Error loading history:", err);
+  }
+}
+
+/**
+ * Delete a history entry after confirmation
+ */
+async function handleDeleteHistoryEntry(e) {
+  const button = e.target.closest("[data-entry-id]");
+  if (!button || !confirm(i18n.t("history.confirmDelete"))) return;
+
+  try {
+    await history.deleteEntry(Number(button.dataset.entryId));
+  } catch (err) {
+    console.error("Error deleting history entry:", err);
+  }
+  await renderHistory();
+}
+
+/**
+ * Build a dated export file name
+ * @param {string} name - File kind, e.g. "sessions"
+ * @param {string} extension - File extension
+ * @returns {string} File name like "hiiting-time-sessions-2024-05-01.csv"
+ */
+function exportFilename(name, extension) {
+  const date = new Date().toISOString().slice(0, 10);
+  return `hiiting-time-${name}-${date}.${extension}`;
+}
+
+/**
+ * Export settings, user presets and history as versioned JSON
+ */
+async function handleExportJSON() {
+  try {
+    const data = transfer.createExport(
+      timer.getConfig(),
+      presets.loadUserPresets(),
+      await history.getEntries(),
+    );
+    ui.downloadFile(
+      exportFilename("export", "json"),
+      JSON.stringify(data, null, 2),
+      "application/json",
+    );
+  } catch (err) {
+    console.error("Error exporting data:", err);
+    ui.showTransferReport([i18n.t("transfer.exportFailed")]);
+  }
+}
+
+/**
+ * Export the history as CSV, one row per session
+ */
+async function handleExportSessionsCSV() {
+  try {
+    const csv = transfer.sessionsToCSV(await history.getEntries());
+    ui.downloadFile(exportFilename("sessions", "csv"), csv, "text/csv");
+  } catch (err) {
+    console.error("Error exporting sessions:", err);
+    ui.showTransferReport([i18n.t("transfer.exportFailed")]);
+  }
+}
+
+/**
+ * Export the current settings as CSV
+ */
+function handleExportConfigCSV() {
+  const csv = transfer.configToCSV(timer.getConfig());
+  ui.downloadFile(exportFilename("settings", "csv"), csv, "text/csv");
+}
+
+/**
+ * Import a JSON export chosen in the file picker
+ * Asks before replacing presets that exist with different settings
+ */
+async function handleImportFile(e) {
+  const [file] = e.target.files;
+  e.target.value = "";
+  if (!file) return;
+
+  const { data, errors } = transfer.parseImport(await file.text());
+  if (!data) {
+    ui.showTransferReport([i18n.t("transfer.importFailedWith"), ...errors]);
     return;
   }
 
-  state.restTime = value * 1000; // Convert seconds to milliseconds
+  try {
+    const plan = transfer.planImport(
+      data,
+      presets.getAllPresets(),
+      await history.getEntries(),
+    );
+    ui.showTransferReport(await applyImport(plan));
+  } catch (err) {
+    console.error("Error importing data:", err);
+    ui.showTransferReport([i18n.t("transfer.importFailed")]);
+  }
+
+  ui.renderPresets(
+    presets.getAllPresets(),
+    presets.findMatchingPreset(timer.getConfig())?.id ?? "",
+  );
+  await renderHistory();
+}
+
+/**
+ * Save the data of an import plan
+ * @param {import("./transfer.js").ImportPlan} plan - Validated import plan
+ * @returns {Promise<string[]>} Report lines
+ */
+async function applyImport(plan) {
+  const report = [];
+
+  const conflicts = plan.conflictingPresets;
+  const replace =
+    conflicts.length > 0 &&
+    confirm(i18n.t("transfer.confirmReplace", { names: conflicts.join(", ") }));
+  const replaced = replace ? conflicts : [];
+  const kept = replace ? [] : conflicts;
+
+  for (const preset of plan.data.presets) {
+    const isNew = plan.newPresets.includes(preset);
+    if (isNew || replaced.includes(preset.name)) {
+      presets.savePreset(preset.name, preset.config);
+    }
+  }
+  for (const session of plan.newSessions) {
+    await history.addEntry(session);
+  }
+
+  report.push(
+    i18n.t("transfer.imported", {
+      presets: i18n.plural("transfer.presets", plan.newPresets.length),
+      sessions: i18n.plural("transfer.sessions", plan.newSessions.length),
+    }),
+  );
+  if (replaced.length > 0) {
+    report.push(i18n.t("transfer.replaced", { names: replaced.join(", ") }));
+  }
+  if (kept.length > 0) {
+    report.push(i18n.t("transfer.kept", { names: kept.join(", ") }));
+  }
+  // Templates can't be replaced or shadowed by a user preset
+  if (plan.templatePresets.length > 0) {
+    report.push(
+      i18n.t("transfer.templates", {
+        names: plan.templatePresets.join(", "),
+      }),
+    );
+  }
+  if (plan.duplicateSessions > 0) {
+    report.push(i18n.plural("transfer.skipped", plan.duplicateSessions));
+  }
 
-  // Only update if in idle state and is rest phase
-  if (state.status === TimerStatus.IDLE && !state.isWorkPhase) {
-    state.totalTime = state.restTime;
-    ui.updateDisplay(0, state.totalTime);
+  // Only load the imported settings when no workout is in progress
+  const isInProgress =
+    state.status !== TimerStatus.IDLE && state.status !== TimerStatus.FINISHED;
+  if (plan.data.config && !isInProgress) {
+    timer.applyConfig(plan.data.config);
+    syncSettingInputs();
+    handleConfigChange();
+    report.push(i18n.t("transfer.loadedSettings"));
   }
+
+  return report;
+}
+
+/**
+ * Reload into the new version
+ * The session is snapshotted first, so a workout in progress can be resumed
+ */
+function handleApplyUpdate() {
+  session.saveSession(true);
+  pwa.applyUpdate();
 }
 
 /**
@@ -138,6 +1326,78 @@ async function handleToggleFullscreen() {
   await ui.toggleFullscreen();
 }
 
+/**
+ * Open the gym display in a new window, e.g. to move it to a projector
+ */
+function handleOpenDisplay() {
+  window.open(sync.getDisplayUrl(), "hiiting-time-display");
+}
+
+/**
+ * Keyboard shortcuts and the handlers they trigger
+ * Keys are matched case-insensitively
+ */
+const SHORTCUTS = {
+  " ": handleToggleTimer,
+  r: handleReset,
+  l: handleLap,
+  m: handleToggleMute,
+  v: handleToggleVoice,
+  f: handleToggleFullscreen,
+  arrowright: () => handleStepChange(1),
+  arrowleft: () => handleStepChange(-1),
+  "+": () => handleAdjustTime(ADJUST_CONFIG.step),
+  "-": () => handleAdjustTime(-ADJUST_CONFIG.step),
+  e: handleExtendRest,
+};
+
+/**
+ * Keyboard shortcuts of the gym display, sent to the timer tab as commands
+ */
+const DISPLAY_SHORTCUTS = {
+  " ": () => sync.sendCommand("toggle"),
+  r: () => sync.sendCommand("reset"),
+  f: handleToggleFullscreen,
+  arrowright: () => sync.sendCommand("next"),
+  arrowleft: () => sync.sendCommand("previous"),
+};
+
+/**
+ * Handle a keyboard shortcut
+ * Ignored while typing in a field, with modifier keys and while a dialog is open
+ */
+function handleKeydown(e) {
+  const shortcuts = sync.isDisplayMode() ? DISPLAY_SHORTCUTS : SHORTCUTS;
+  const handler = shortcuts[e.key.toLowerCase()];
+  if (!handler || e.ctrlKey || e.metaKey || e.altKey || e.repeat) return;
+
+  const isTyping = e.target.closest("input, select, textarea");
+  const isDialogOpen = document.querySelector("dialog[open]");
+  // Space on a focused button already clicks it
+  const isButtonPress = e.key === " " && e.target.closest("button");
+  if (isTyping || isDialogOpen || isButtonPress) return;
+
+  e.preventDefault();
+  handler();
+}
+
+/**
+ * Let headphones, lock-screen controls and media keys drive the timer
+ */
+function initMediaSession() {
+  const isRunning = () =>
+    state.status === TimerStatus.RUNNING ||
+    state.status === TimerStatus.COUNTDOWN;
+
+  mediaSession.initMediaSession({
+    play: () => !isRunning() && handleToggleTimer(),
+    pause: () => isRunning() && handleToggleTimer(),
+    stop: handleReset,
+    nexttrack: () => handleStepChange(1),
+    previoustrack: () => handleStepChange(-1),
+  });
+}
+
 /**
  * Initialize event listeners
  */
@@ -145,9 +1405,149 @@ function initEventListeners() {
   ui.elements.startStopBtn.addEventListener("click", handleToggleTimer);
   ui.elements.resetBtn.addEventListener("click", handleReset);
   ui.elements.muteBtn.addEventListener("click", handleToggleMute);
+  ui.elements.voiceMuteBtn.addEventListener("click", handleToggleVoice);
   ui.elements.fullscreenBtn.addEventListener("click", handleToggleFullscreen);
-  ui.elements.workTimeInput.addEventListener("change", handleWorkTimeChange);
-  ui.elements.restTimeInput.addEventListener("change", handleRestTimeChange);
+
+  for (const { input, key } of SETTING_INPUTS) {
+    ui.elements[input].addEventListener("change", (e) =>
+      handleSettingChange(e, key),
+    );
+  }
+
+  ui.elements.addExerciseBtn.addEventListener("click", handleAddExercise);
+  ui.elements.exerciseList.addEventListener("change", handleExerciseEdit);
+  ui.elements.exerciseList.addEventListener("click", handleExerciseAction);
+
+  ui.elements.resumeSessionBtn.addEventListener("click", handleToggleTimer);
+  ui.elements.discardSessionBtn.addEventListener("click", handleDiscardSession);
+  ui.elements.applyUpdateBtn.addEventListener("click", handleApplyUpdate);
+  ui.elements.dismissUpdateBtn.addEventListener("click", () =>
+    ui.setUpdatePrompt(false),
+  );
+  ui.elements.showHistoryBtn.addEventListener("click", handleShowHistory);
+  ui.elements.closeHistoryBtn.addEventListener("click", () =>
+    ui.elements.historyDialog.close(),
+  );
+  ui.elements.historyDays.addEventListener("click", handleDeleteHistoryEntry);
+  ui.elements.exportJsonBtn.addEventListener("click", handleExportJSON);
+  ui.elements.exportSessionsCsvBtn.addEventListener(
+    "click",
+    handleExportSessionsCSV,
+  );
+  ui.elements.exportConfigCsvBtn.addEventListener(
+    "click",
+    handleExportConfigCSV,
+  );
+  ui.elements.importJsonBtn.addEventListener("click", () =>
+    ui.elements.importFileInput.click(),
+  );
+  ui.elements.importFileInput.addEventListener("change", handleImportFile);
+  ui.elements.showSettingsBtn.addEventListener("click", handleShowSettings);
+  ui.elements.closeSettingsBtn.addEventListener("click", () =>
+    ui.elements.settingsDialog.close(),
+  );
+  ui.elements.languageSelect.addEventListener("change", handleLanguageChange);
+  ui.elements.colorThemeSelect.addEventListener(
+    "change",
+    handleColorThemeChange,
+  );
+  for (const input of ui.elements.phaseColorInputs) {
+    input.addEventListener("input", handlePhaseColorInput);
+  }
+  ui.elements.resetColorsBtn.addEventListener("click", handleResetColors);
+  for (const input of ui.elements.displayOptionInputs) {
+    input.addEventListener("change", handleDisplayOptionChange);
+  }
+  ui.elements.prepDurationInput.addEventListener(
+    "change",
+    handlePrepDurationChange,
+  );
+  for (const input of ui.elements.prepOptionInputs) {
+    input.addEventListener("change", handlePrepOptionChange);
+  }
+  ui.elements.soundEnabledInput.addEventListener(
+    "change",
+    handleSoundEnabledChange,
+  );
+  ui.elements.soundThemeSelect.addEventListener(
+    "change",
+    handleSoundThemeChange,
+  );
+  ui.elements.soundVolumeInput.addEventListener("input", handleVolumeInput);
+  ui.elements.soundVolumeInput.addEventListener("change", audio.playPreview);
+  ui.elements.warningTicksInput.addEventListener(
+    "change",
+    handleWarningTicksChange,
+  );
+  ui.elements.testSoundBtn.addEventListener("click", audio.playPreview);
+  ui.elements.vibrationEnabledInput.addEventListener(
+    "change",
+    handleVibrationEnabledChange,
+  );
+  ui.elements.warningPulsesInput.addEventListener(
+    "change",
+    handleWarningPulsesChange,
+  );
+  for (const input of ui.elements.vibrationPatternInputs) {
+    input.addEventListener("change", handleVibrationPatternChange);
+    input.addEventListener("input", () => input.setCustomValidity(""));
+  }
+  ui.elements.vibrationPatterns.addEventListener(
+    "click",
+    handleVibrationPreview,
+  );
+  ui.elements.resetVibrationBtn.addEventListener("click", handleResetVibration);
+  for (const input of ui.elements.voiceCueInputs) {
+    input.addEventListener("change", handleVoiceCueChange);
+  }
+  ui.elements.voiceLangSelect.addEventListener("change", handleVoiceLangChange);
+  ui.elements.voiceSelect.addEventListener("change", handleVoiceSelect);
+  ui.elements.voiceRateInput.addEventListener("input", handleVoiceRateChange);
+  ui.elements.testVoiceBtn.addEventListener("click", handleTestVoice);
+  ui.elements.presetSelect.addEventListener("change", handlePresetSelect);
+  ui.elements.savePresetBtn.addEventListener("click", handleSavePreset);
+  ui.elements.deletePresetBtn.addEventListener("click", handleDeletePreset);
+  ui.elements.presetNameInput.addEventListener("input", (e) =>
+    e.target.setCustomValidity(""),
+  );
+
+  // Snapshot the session when the page may be about to be discarded
+  window.addEventListener("pagehide", () => session.saveSession(true));
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") {
+      session.saveSession(true);
+      return;
+    }
+
+    // The browser drops the wake lock while hidden, take it again
+    const isActive =
+      state.status === TimerStatus.RUNNING ||
+      state.status === TimerStatus.COUNTDOWN;
+    if (isActive) {
+      wakeLock.requestWakeLock();
+    }
+  });
+
+  ui.elements.skipBackBtn.addEventListener("click", () => handleStepChange(-1));
+  ui.elements.removeTimeBtn.addEventListener("click", () =>
+    handleAdjustTime(-ADJUST_CONFIG.step),
+  );
+  ui.elements.addTimeBtn.addEventListener("click", () =>
+    handleAdjustTime(ADJUST_CONFIG.step),
+  );
+  ui.elements.extendRestBtn.addEventListener("click", handleExtendRest);
+  ui.elements.skipForwardBtn.addEventListener("click", () =>
+    handleStepChange(1),
+  );
+  ui.elements.lapBtn.addEventListener("click", handleLap);
+  for (const input of ui.elements.modeInputs) {
+    input.addEventListener("change", handleModeChange);
+  }
+  ui.elements.openDisplayBtn.addEventListener("click", handleOpenDisplay);
+  ui.elements.copyLinkBtn.addEventListener("click", handleCopyLink);
+  ui.elements.dismissNoticeBtn.addEventListener("click", ui.hideNotice);
+  window.addEventListener("hashchange", handleHashChange);
+  document.addEventListener("keydown", handleKeydown);
 
   // Listen for fullscreen changes (e.g., ESC key)
   document.addEventListener("fullscreenchange", () => {
@@ -155,12 +1555,112 @@ function initEventListeners() {
   });
 }
 
+/**
+ * Let gym display tabs mirror this tab and control it
+ */
+function initLeader() {
+  sync.initLeader(
+    {
+      toggle: handleToggleTimer,
+      reset: handleReset,
+      next: () => handleStepChange(1),
+      previous: () => handleStepChange(-1),
+    },
+    () => publishState(),
+  );
+}
+
+/**
+ * Initialize a gym display tab
+ * It runs no timer of its own: its buttons control the tab it mirrors
+ */
+async function initDisplayMode() {
+  state.settings = settings.loadSettings();
+  await i18n.setLocale(state.settings.language.locale);
+  i18n.translatePage();
+  theme.initTheme(state.settings.appearance);
+  ui.setDisplayOptions(state.settings.display);
+  display.initDisplay();
+
+  ui.elements.startStopBtn.addEventListener("click", () =>
+    sync.sendCommand("toggle"),
+  );
+  ui.elements.resetBtn.addEventListener("click", () =>
+    sync.sendCommand("reset"),
+  );
+  ui.elements.skipBackBtn.addEventListener("click", () =>
+    sync.sendCommand("previous"),
+  );
+  ui.elements.skipForwardBtn.addEventListener("click", () =>
+    sync.sendCommand("next"),
+  );
+  ui.elements.fullscreenBtn.addEventListener("click", handleToggleFullscreen);
+  ui.elements.dismissNoticeBtn.addEventListener("click", ui.hideNotice);
+  document.addEventListener("keydown", handleKeydown);
+  document.addEventListener("fullscreenchange", () => {
+    ui.updateFullscreenButton();
+  });
+}
+
 /**
  * Initialize the app
  */
-function init() {
+async function init() {
+  if (sync.isDisplayMode()) {
+    await initDisplayMode();
+    return;
+  }
+
+  state.settings = settings.loadSettings();
+  await i18n.setLocale(state.settings.language.locale);
+  i18n.translatePage();
+  theme.initTheme(state.settings.appearance);
+  ui.setDisplayOptions(state.settings.display);
+  ui.subscribeToTimer();
+  audio.subscribeToTimer();
+  vibration.subscribeToTimer();
+  voice.subscribeToTimer();
+  announcer.subscribeToTimer();
+  plugins.initPlugins();
   initEventListeners();
-  handleReset();
+  initMediaSession();
+  initLeader();
+
+  // Restore the settings from the last visit
+  const savedConfig = presets.loadCurrentConfig();
+  if (savedConfig) {
+    timer.applyConfig(savedConfig);
+  } else {
+    timer.rebuildProgram();
+  }
+
+  // Offer to resume a session interrupted by a reload instead of resetting
+  const snapshot = session.loadSession();
+  if (snapshot) {
+    restoreSession(snapshot);
+  }
+
+  // A shared link replaces those settings and the unfinished session
+  if (loadSharedWorkout() || !snapshot) {
+    handleReset();
+  }
+
+  syncSettingInputs();
+  ui.setMuteButton(state.settings.sound.muted);
+  ui.setVoiceButton(state.settings.voice.muted);
+  ui.renderPresets(
+    presets.getAllPresets(),
+    presets.findMatchingPreset(timer.getConfig())?.id ?? "",
+  );
+
+  // Voices load asynchronously, refresh the pickers once they are known
+  voice.onVoicesChanged(() => {
+    if (ui.elements.settingsDialog.open) {
+      renderVoiceSettings();
+    }
+  });
+
+  pwa.registerServiceWorker(() => ui.setUpdatePrompt(true));
 }
 
 // Start the app
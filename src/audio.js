@@ -1,71 +1,270 @@
 /**
  * Audio functions using Web Audio API
+ * All sounds are synthesized in the selected theme and play through a
+ * master gain node that applies the volume setting
  */
 
-import { state } from "./state.js";
-import { COUNTDOWN_CONFIG } from "./config.js";
+import { state, TimerStatus } from "./state.js";
+import { getElapsed, getNextStep, hasPrepBefore } from "./timer.js";
+import { on, TimerEvent } from "./events.js";
+import {
+  getCountdownCue,
+  FINISH_CONFIG,
+  SOUND_THEMES,
+  CUE_FREQUENCIES,
+} from "./config.js";
+
+// Loudest gain of a single note, before the master volume
+const PEAK_GAIN = 0.5;
+
+// Attack time in seconds, short enough to sound instant but avoids clicks
+const ATTACK = 0.005;
 
 /**
- * Play a simple beep sound using Web Audio API
- *
- * Creates a sine wave that decays exponentially.
- * The decay uses exponentialRampToValueAtTime which creates a natural-sounding
- * fade-out by reducing the gain from 0.5 to 0.01 over 0.2 seconds.
- * This mimics how real sounds decay in nature (exponentially, not linearly).
- *
- * Sound characteristics:
- * - Frequency: 800Hz (sine wave)
- * - Initial volume: 0.5 (50% of max)
- * - Duration: 200ms
- * - Decay curve: Exponential (natural sounding)
- *
- * @param {number} frequency - Frequency in Hz (default: 800)
+ * Master gain node all sounds play into
+ * @type {GainNode|null}
+ */
+let masterGain = null;
+
+/**
+ * Cues scheduled ahead of time, mapped to their start time on the audio clock
+ * @type {Map<OscillatorNode[], number>}
  */
-export function playBeep(frequency = 800) {
-  // Don't play if muted
-  if (state.isMuted) return;
+const scheduledCues = new Map();
 
+/**
+ * Get the node all sounds play into, with the current volume applied
+ * @returns {GainNode} Master gain node
+ */
+function getOutput() {
   // Lazy-initialize AudioContext to avoid creating it until needed
   if (!state.audioContext) {
     state.audioContext = new (window.AudioContext ||
       window.webkitAudioContext)();
   }
 
-  // Create oscillator (tone generator) and gain node (volume control)
-  const oscillator = state.audioContext.createOscillator();
-  const gainNode = state.audioContext.createGain();
+  if (!masterGain) {
+    masterGain = state.audioContext.createGain();
+    masterGain.connect(state.audioContext.destination);
+  }
+
+  masterGain.gain.value = state.settings.sound.volume;
+  return masterGain;
+}
+
+/**
+ * Play one note in the selected sound theme
+ *
+ * Every note rises quickly to its peak and then decays exponentially,
+ * which sounds natural because real sounds fade exponentially, not linearly.
+ * Themes differ in waveform, overtones, length and pitch movement
+ * (see SOUND_THEMES).
+ *
+ * @param {number} frequency - Base frequency in Hz, scaled by the theme's pitch
+ * @param {number} delay - Seconds from now until the note starts (default: 0)
+ * @param {boolean} force - Play even when sound is muted (default: false)
+ * @returns {OscillatorNode[]} The note's oscillators, empty when muted
+ */
+export function playTone(frequency, delay = 0, force = false) {
+  const settings = state.settings.sound;
+  if (settings.muted && !force) return [];
+
+  const output = getOutput();
+  const context = state.audioContext;
+  const theme = SOUND_THEMES[settings.theme] ?? SOUND_THEMES.beep;
+  const pitch = frequency * theme.pitch;
+  const startAt = context.currentTime + delay;
+  const endAt = startAt + theme.duration;
+  const totalWeight = theme.partials.reduce((sum, { gain }) => sum + gain, 0);
+
+  const oscillators = theme.partials.map(({ ratio, gain }) => {
+    // oscillator -> envelope -> master volume -> speakers
+    const oscillator = context.createOscillator();
+    const envelope = context.createGain();
+    oscillator.connect(envelope);
+    envelope.connect(output);
+
+    oscillator.type = theme.type;
+    oscillator.frequency.setValueAtTime(pitch * ratio, startAt);
+    if (theme.pitchDrop) {
+      oscillator.frequency.exponentialRampToValueAtTime(
+        pitch * ratio * theme.pitchDrop,
+        endAt,
+      );
+    }
+
+    envelope.gain.setValueAtTime(0.0001, startAt);
+    envelope.gain.linearRampToValueAtTime(
+      (PEAK_GAIN * gain) / totalWeight,
+      startAt + ATTACK,
+    );
+    envelope.gain.exponentialRampToValueAtTime(0.0001, endAt);
+
+    oscillator.start(startAt);
+    oscillator.stop(endAt);
+    return oscillator;
+  });
+
+  if (theme.trill) {
+    oscillators.push(
+      addTrill(oscillators[0], pitch, theme.trill, startAt, endAt),
+    );
+  }
+
+  return oscillators;
+}
+
+/**
+ * Wobble an oscillator's frequency, like the pea in a whistle
+ * @param {OscillatorNode} carrier - Oscillator to modulate
+ * @param {number} frequency - Carrier frequency in Hz
+ * @param {{rate: number, depth: number}} trill - Wobbles per second and depth relative to the frequency
+ * @param {number} startAt - Start time on the audio clock
+ * @param {number} endAt - End time on the audio clock
+ * @returns {OscillatorNode} The modulating oscillator
+ */
+function addTrill(carrier, frequency, { rate, depth }, startAt, endAt) {
+  const context = state.audioContext;
+  const modulator = context.createOscillator();
+  const amount = context.createGain();
 
-  // Connect: oscillator -> gain -> speakers
-  oscillator.connect(gainNode);
-  gainNode.connect(state.audioContext.destination);
+  modulator.frequency.value = rate;
+  amount.gain.value = frequency * depth;
+  modulator.connect(amount);
+  amount.connect(carrier.frequency);
+
+  modulator.start(startAt);
+  modulator.stop(endAt);
+  return modulator;
+}
 
-  // Configure the tone
-  oscillator.frequency.value = frequency;
-  oscillator.type = "sine"; // Smooth sine wave
+/**
+ * Play a cue right away
+ * @param {keyof CUE_FREQUENCIES} cue - Cue to play ("workStart", "restStart" or "tick")
+ * @param {boolean} force - Play even when sound is muted (default: false)
+ */
+export function playCue(cue, force = false) {
+  playTone(CUE_FREQUENCIES[cue], 0, force);
+}
 
-  // Set initial volume to 0.5 at current time
-  gainNode.gain.setValueAtTime(0.5, state.audioContext.currentTime);
+/**
+ * Schedule a cue ahead of time on the audio clock
+ * The audio clock keeps running while the page is hidden, so the cue plays
+ * on time even when timers are throttled and nothing is painting
+ *
+ * @param {keyof CUE_FREQUENCIES} cue - Cue to play ("workStart", "restStart" or "tick")
+ * @param {number} delay - Seconds from now until the cue plays
+ */
+export function scheduleCue(cue, delay) {
+  const oscillators = playTone(CUE_FREQUENCIES[cue], delay);
+  if (oscillators.length === 0) return;
 
-  // Exponentially decay to near-silence (0.01) over 200ms
-  // Exponential decay sounds more natural than linear fade
-  gainNode.gain.exponentialRampToValueAtTime(
-    0.01,
-    state.audioContext.currentTime + 0.2,
+  scheduledCues.set(oscillators, state.audioContext.currentTime + delay);
+  oscillators[0].addEventListener("ended", () =>
+    scheduledCues.delete(oscillators),
   );
+}
 
-  // Play the sound for 200ms
-  oscillator.start(state.audioContext.currentTime);
-  oscillator.stop(state.audioContext.currentTime + 0.2);
+/**
+ * Cancel scheduled cues that haven't started yet
+ * A cue that is already sounding is left to finish
+ */
+export function cancelScheduledCues() {
+  for (const [oscillators, startAt] of scheduledCues) {
+    if (startAt > state.audioContext.currentTime) {
+      for (const oscillator of oscillators) {
+        oscillator.stop();
+        oscillator.disconnect();
+      }
+      scheduledCues.delete(oscillators);
+    }
+  }
 }
 
 /**
  * Play countdown beep with escalating frequency
- * Higher count = lower frequency for anticipation buildup
+ * Higher count = lower frequency for anticipation buildup, and a low lead
+ * tick before the final numbers of a longer countdown
  *
- * @param {number} count - Countdown number (3, 2, 1)
+ * @param {number} count - Seconds left in the countdown
  */
 export function playCountdownBeep(count) {
-  const config = COUNTDOWN_CONFIG[count];
-  const frequency = config ? config.audioFrequency : 800;
-  playBeep(frequency);
+  const cue = getCountdownCue(count);
+  if (cue) {
+    playTone(cue.audioFrequency);
+  }
+}
+
+/**
+ * Play end-of-workout sound
+ * An ascending arpeggio, distinct from the phase-change cues
+ */
+export function playFinishSound() {
+  FINISH_CONFIG.audioFrequencies.forEach((frequency, index) => {
+    playTone(frequency, index * FINISH_CONFIG.noteSpacing);
+  });
+}
+
+/**
+ * Preview the selected theme and volume, even when muted
+ * Two warning ticks followed by the work start cue
+ */
+export function playPreview() {
+  const spacing = 0.5;
+  playTone(CUE_FREQUENCIES.tick, 0, true);
+  playTone(CUE_FREQUENCIES.tick, spacing, true);
+  playTone(CUE_FREQUENCIES.workStart, spacing * 2, true);
+}
+
+/**
+ * Schedule the sounds for the rest of the current phase on the audio clock
+ * Warning ticks in its last seconds, then the start cue of the next step
+ * (the last step ends with the finish sound instead)
+ * Replaces any cues scheduled before. The stopwatch has nothing to schedule.
+ */
+export function schedulePhaseCues() {
+  cancelScheduledCues();
+  if (state.status !== TimerStatus.RUNNING) return;
+
+  const remaining = state.totalTime - getElapsed();
+  if (!Number.isFinite(remaining)) return;
+
+  // A step held for the get-ready countdown gets its cue when it starts
+  const nextStep = getNextStep();
+  if (nextStep && remaining > 0 && !hasPrepBefore(state.stepIndex + 1)) {
+    scheduleCue(nextStep.isWork ? "workStart" : "restStart", remaining / 1000);
+  }
+
+  for (
+    let seconds = 1;
+    seconds <= state.settings.sound.warningTicks;
+    seconds++
+  ) {
+    const delay = remaining - seconds * 1000;
+    if (delay > 0) {
+      scheduleCue("tick", delay / 1000);
+    }
+  }
+}
+
+/**
+ * Play the sounds of the timer events
+ * Phase start cues are scheduled ahead on the audio clock, except the first
+ */
+export function subscribeToTimer() {
+  on(TimerEvent.COUNTDOWN_TICK, ({ count }) => playCountdownBeep(count));
+  on(TimerEvent.START, ({ step }) => {
+    playCue(step.isWork ? "workStart" : "restStart");
+    schedulePhaseCues();
+  });
+  on(TimerEvent.RESUME, schedulePhaseCues);
+  on(TimerEvent.PHASE_START, ({ step, afterPrep }) => {
+    if (afterPrep) {
+      playCue(step.isWork ? "workStart" : "restStart");
+    }
+    schedulePhaseCues();
+  });
+  on(TimerEvent.PAUSE, cancelScheduledCues);
+  on(TimerEvent.RESET, cancelScheduledCues);
+  on(TimerEvent.FINISH, playFinishSound);
 }
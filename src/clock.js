@@ -0,0 +1,139 @@
+/**
+ * Clock abstraction for the timer logic
+ *
+ * All timing reads and scheduled callbacks (animation frames and timeouts) go
+ * through the active clock, so tests (or tools) can swap in a manual clock
+ * and step time deterministically without a browser.
+ */
+
+/**
+ * @typedef {Object} Clock
+ * @property {() => number} now - Current time in milliseconds (monotonic)
+ * @property {(callback: (time: number) => void) => number} requestFrame - Call back before the next repaint
+ * @property {(id: number) => void} cancelFrame - Cancel a frame callback
+ * @property {(callback: () => void, delay: number) => number} setTimer - Call back after a delay in milliseconds
+ * @property {(id: number) => void} clearTimer - Cancel a timer
+ */
+
+// Frame interval of the manual clock (60 frames per second)
+const MANUAL_FRAME_INTERVAL = 1000 / 60;
+
+/**
+ * Default clock backed by performance.now(), requestAnimationFrame and setTimeout
+ * @type {Clock}
+ */
+export const systemClock = {
+  now: () => performance.now(),
+  requestFrame: (callback) => requestAnimationFrame(callback),
+  cancelFrame: (id) => cancelAnimationFrame(id),
+  setTimer: (callback, delay) => setTimeout(callback, delay),
+  clearTimer: (id) => clearTimeout(id),
+};
+
+/** @type {Clock} */
+let activeClock = systemClock;
+
+/**
+ * Read the active clock
+ * @returns {number} Current time in milliseconds
+ */
+export function now() {
+  return activeClock.now();
+}
+
+/**
+ * Call back before the next repaint of the active clock
+ * @param {(time: number) => void} callback - Called with the clock time
+ * @returns {number} Frame ID for cancelFrame
+ */
+export function requestFrame(callback) {
+  return activeClock.requestFrame(callback);
+}
+
+/**
+ * Cancel a frame callback
+ * @param {number} id - Frame ID from requestFrame
+ */
+export function cancelFrame(id) {
+  activeClock.cancelFrame(id);
+}
+
+/**
+ * Call back after a delay on the active clock
+ * @param {() => void} callback - Called once the delay has passed
+ * @param {number} delay - Delay in milliseconds
+ * @returns {number} Timer ID for clearTimer
+ */
+export function setTimer(callback, delay) {
+  return activeClock.setTimer(callback, delay);
+}
+
+/**
+ * Cancel a timer
+ * @param {number} id - Timer ID from setTimer
+ */
+export function clearTimer(id) {
+  activeClock.clearTimer(id);
+}
+
+/**
+ * Replace the active clock
+ * @param {Clock|null} clock - Clock to use, or null to restore the system clock
+ */
+export function setClock(clock) {
+  activeClock = clock ?? systemClock;
+}
+
+/**
+ * Create a clock that only moves when told to
+ * Frames and timers run during advance(), in time order, with the clock set
+ * to the time each one is due
+ * @param {number} start - Initial time in milliseconds (default: 0)
+ * @returns {Clock & {advance: (ms: number) => void, pending: () => number}} Manual clock
+ */
+export function createManualClock(start = 0) {
+  let time = start;
+  let nextId = 1;
+  /** @type {Map<number, {at: number, callback: Function}>} */
+  const scheduled = new Map();
+
+  const schedule = (callback, at) => {
+    const id = nextId++;
+    scheduled.set(id, { at, callback });
+    return id;
+  };
+  const cancel = (id) => {
+    scheduled.delete(id);
+  };
+
+  return {
+    now: () => time,
+    requestFrame: (callback) =>
+      schedule(() => callback(time), time + MANUAL_FRAME_INTERVAL),
+    cancelFrame: cancel,
+    setTimer: (callback, delay) =>
+      schedule(callback, time + Math.max(0, delay)),
+    clearTimer: cancel,
+
+    advance(ms) {
+      const end = time + ms;
+      for (;;) {
+        // Earliest callback due by the end, first scheduled first on a tie
+        let due = null;
+        for (const [id, entry] of scheduled) {
+          if (entry.at <= end && (!due || entry.at < due[1].at)) {
+            due = [id, entry];
+          }
+        }
+        if (!due) break;
+
+        scheduled.delete(due[0]);
+        time = Math.max(time, due[1].at);
+        due[1].callback();
+      }
+      time = end;
+    },
+
+    pending: () => scheduled.size,
+  };
+}
@@ -4,7 +4,8 @@
 
 /**
  * Countdown configuration for audio and vibration
- * Maps countdown numbers to their respective settings
+ * Maps the final countdown numbers to their respective settings; earlier
+ * numbers of a longer get-ready countdown use the lead cue
  */
 export const COUNTDOWN_CONFIG = {
   3: {
@@ -19,4 +20,148 @@ export const COUNTDOWN_CONFIG = {
     audioFrequency: 850,
     vibrationDuration: 300,
   },
+  lead: {
+    audioFrequency: 500,
+    vibrationDuration: 50,
+    everySeconds: 10, // Cued each second of the last 10, and every 10 s before
+  },
+};
+
+/**
+ * Get the audio and vibration settings of a countdown number
+ * @param {number} count - Seconds left in the countdown
+ * @returns {{audioFrequency: number, vibrationDuration: number}|null} Cue, or null if the number passes silently
+ */
+export function getCountdownCue(count) {
+  const { lead } = COUNTDOWN_CONFIG;
+  if (COUNTDOWN_CONFIG[count]) return COUNTDOWN_CONFIG[count];
+  return count <= lead.everySeconds || count % lead.everySeconds === 0
+    ? lead
+    : null;
+}
+
+/**
+ * Get-ready countdown limits, in seconds
+ */
+export const PREP_CONFIG = {
+  maxDuration: 60,
+  resumeDuration: 3, // Countdown before resuming from a pause, when enabled
+};
+
+/**
+ * End-of-workout cue configuration
+ * A short ascending arpeggio paired with a long closing vibration
+ */
+export const FINISH_CONFIG = {
+  audioFrequencies: [660, 880, 1100],
+  noteSpacing: 0.15, // Seconds between arpeggio notes
+  vibrationPattern: [200, 100, 200, 100, 600], // Default, configurable in the settings
+};
+
+/**
+ * Voice cue configuration
+ */
+export const VOICE_CONFIG = {
+  warningTime: 10000, // Announce the seconds left this long before a phase ends
+};
+
+/**
+ * Screen-reader announcements
+ */
+export const ANNOUNCE_CONFIG = {
+  minInterval: 750, // Shortest time between two messages, in milliseconds
+  finalSeconds: 3, // Count down this many seconds before a phase ends
+};
+
+/**
+ * On-the-fly phase adjustments
+ */
+export const ADJUST_CONFIG = {
+  step: 10000, // Time added or removed per press of +10 s / −10 s
+  restExtension: 30000, // Added once per rest by "Extend rest"
+  minRemaining: 1000, // Removing time never ends a phase sooner than this
+};
+
+/**
+ * Progress cues (spoken or vibrated) noticed later than this are dropped
+ * e.g. after the page was frozen in the background
+ */
+export const LATE_CUE_TOLERANCE = 1000;
+
+/**
+ * Base frequencies (Hz) of the phase cues, scaled by the sound theme's pitch
+ */
+export const CUE_FREQUENCIES = {
+  workStart: 880,
+  restStart: 587,
+  tick: 1200,
+};
+
+/**
+ * Synthesized sound themes
+ * Each note is built from partials (frequency ratio and relative gain) with a
+ * shared waveform, length in seconds and pitch multiplier. Optional
+ * pitchDrop bends the note down to that ratio and trill wobbles its pitch.
+ * Labels are message keys (see i18n.js)
+ */
+export const SOUND_THEMES = {
+  beep: {
+    label: "soundTheme.beep",
+    type: "sine",
+    duration: 0.2,
+    pitch: 1,
+    partials: [{ ratio: 1, gain: 1 }],
+  },
+  bell: {
+    label: "soundTheme.bell",
+    type: "sine",
+    duration: 1.2,
+    pitch: 1,
+    // Inharmonic overtones give the metallic ring
+    partials: [
+      { ratio: 1, gain: 1 },
+      { ratio: 2.76, gain: 0.5 },
+      { ratio: 5.4, gain: 0.25 },
+    ],
+  },
+  whistle: {
+    label: "soundTheme.whistle",
+    type: "sine",
+    duration: 0.35,
+    pitch: 2.5,
+    partials: [{ ratio: 1, gain: 1 }],
+    trill: { rate: 30, depth: 0.04 },
+  },
+  woodblock: {
+    label: "soundTheme.woodblock",
+    type: "triangle",
+    duration: 0.08,
+    pitch: 1.2,
+    pitchDrop: 0.7,
+    partials: [
+      { ratio: 1, gain: 1 },
+      { ratio: 2.5, gain: 0.4 },
+    ],
+  },
+};
+
+/**
+ * Color themes, defined as sets of CSS custom properties in style.css
+ * "auto" is the light or dark theme, following the system setting.
+ * Labels are message keys (see i18n.js)
+ */
+export const COLOR_THEMES = {
+  auto: { label: "colorTheme.auto" },
+  light: { label: "colorTheme.light" },
+  dark: { label: "colorTheme.dark" },
+  "high-contrast": { label: "colorTheme.high-contrast" },
+  colorblind: { label: "colorTheme.colorblind" },
+};
+
+/**
+ * Languages with a locale pack in locales/, labeled in their own language
+ */
+export const LOCALES = {
+  en: { label: "English" },
+  de: { label: "Deutsch" },
 };
@@ -0,0 +1,111 @@
+/**
+ * Gym display
+ *
+ * A large, display-only view of the timer running in another tab or window
+ * (see sync.js). Between snapshots the remaining time is extrapolated from
+ * the wall clock, so the arc moves smoothly.
+ */
+
+import { TimerStatus } from "./state.js";
+import { requestFrame, cancelFrame } from "./clock.js";
+import * as ui from "./ui.js";
+import * as sync from "./sync.js";
+import { t } from "./i18n.js";
+
+/** @type {import("./sync.js").TimerSnapshot|null} */
+let snapshot = null;
+let animationFrameId = null;
+
+/**
+ * Switch this tab to the display layout and start mirroring
+ */
+export function initDisplay() {
+  ui.elements.appContainer.classList.add("display-mode");
+
+  if (!sync.isSyncSupported()) {
+    ui.showNotice(t("display.unsupported"));
+    return;
+  }
+
+  ui.showNotice(t("display.waiting"));
+  sync.initFollower(handleState, handleLeaderLost);
+}
+
+/**
+ * Get the time since the leader sent a snapshot, while it runs
+ * @param {import("./sync.js").TimerSnapshot} snapshot - Last snapshot
+ * @returns {number} Time to add to the snapshot's elapsed times, in milliseconds
+ */
+function getSinceSent(snapshot) {
+  return snapshot.status === TimerStatus.RUNNING
+    ? Date.now() - snapshot.sentAt
+    : 0;
+}
+
+/**
+ * Show a snapshot of the leader
+ * @param {import("./sync.js").TimerSnapshot} next - Received snapshot
+ */
+function handleState(next) {
+  cancelFrame(animationFrameId);
+  snapshot = next;
+  ui.hideNotice();
+
+  const { status } = snapshot;
+  const isFinished = status === TimerStatus.FINISHED;
+  ui.setMode(snapshot.mode);
+  ui.setFinished(isFinished);
+  ui.setPreparing(status === TimerStatus.COUNTDOWN);
+  ui.setStartStopButton(
+    status === TimerStatus.RUNNING || status === TimerStatus.COUNTDOWN,
+  );
+  ui.setTimerRunning(status === TimerStatus.RUNNING);
+  ui.setAdjustControls(
+    status === TimerStatus.RUNNING || status === TimerStatus.PAUSED,
+    false,
+  );
+  ui.updatePhaseCount(snapshot.phaseCount, snapshot.workSteps);
+  if (isFinished) return;
+
+  ui.setPhaseColor(snapshot.step.isWork);
+  ui.updateStepInfo(snapshot.step, snapshot.nextStep);
+  ui.setPhaseAdjustment(snapshot.adjustment);
+
+  if (snapshot.countdown !== null) {
+    ui.showCountdown(snapshot.countdown.count, snapshot.countdown.total);
+  } else {
+    render();
+  }
+}
+
+/**
+ * Draw the remaining time and session info, every frame while the leader is running
+ */
+function render() {
+  const sinceSent = getSinceSent(snapshot);
+  ui.updateDisplay(
+    Math.min(snapshot.elapsed + sinceSent, snapshot.totalTime),
+    snapshot.totalTime,
+  );
+  ui.updateSessionInfo(
+    Math.min(snapshot.sessionElapsed + sinceSent, snapshot.sessionDuration),
+    snapshot.sessionDuration,
+    snapshot.step,
+  );
+
+  if (snapshot.status === TimerStatus.RUNNING) {
+    animationFrameId = requestFrame(render);
+  }
+}
+
+/**
+ * Wait for another leader after the followed one closed
+ */
+function handleLeaderLost() {
+  cancelFrame(animationFrameId);
+  snapshot = null;
+  ui.setPreparing(false);
+  ui.setTimerRunning(false);
+  ui.setAdjustControls(false, false);
+  ui.showNotice(t("display.waiting"));
+}
@@ -0,0 +1,116 @@
+/**
+ * Timer lifecycle events
+ * app.js emits an event for every change in the workout: sounds, vibration,
+ * spoken cues and the display subscribe to them, and so can plugins.
+ * A listener that throws is logged and doesn't stop the others.
+ */
+
+/**
+ * Event types
+ * @enum {string}
+ */
+export const TimerEvent = {
+  COUNTDOWN_TICK: "countdownTick",
+  START: "start",
+  PAUSE: "pause",
+  RESUME: "resume",
+  PHASE_START: "phaseStart",
+  PHASE_END: "phaseEnd",
+  TICK: "tick",
+  FINISH: "finish",
+  RESET: "reset",
+};
+
+/**
+ * @typedef {Object} CountdownTickDetail
+ * @property {number} count - Seconds left in the countdown
+ * @property {number} total - Length of the countdown, in seconds
+ */
+
+/**
+ * @typedef {Object} PhaseDetail
+ * @property {import("./program.js").Step} step - Step being played
+ * @property {import("./program.js").Step|null} nextStep - Following step, or null on the last step
+ * @property {number} index - Index of the step in the program
+ * @property {number} totalTime - Duration of the step (Infinity for the stopwatch)
+ * @property {boolean} isRunning - Whether the timer is running (skipping while paused starts a phase too)
+ * @property {boolean} afterPrep - Whether the phase was held for a get-ready countdown (before a set)
+ */
+
+/**
+ * @typedef {Object} PhaseEndDetail
+ * @property {import("./program.js").Step} step - Step that ended
+ * @property {number} index - Index of the step in the program
+ * @property {number} elapsed - Time spent in the step, in milliseconds
+ * @property {boolean} skipped - Whether it was skipped or left before its end
+ */
+
+/**
+ * @typedef {Object} ProgressDetail
+ * @property {number} elapsed - Elapsed time in the current phase, in milliseconds
+ * @property {number} totalTime - Duration of the current phase (Infinity for the stopwatch)
+ */
+
+/**
+ * @typedef {Object} FinishDetail
+ * @property {number} phaseCount - Completed work phases
+ * @property {number} sessionElapsed - Time spent in the workout, excluding pauses, in milliseconds
+ */
+
+/**
+ * Details passed to the listeners of each event
+ * @typedef {Object} TimerEventMap
+ * @property {CountdownTickDetail} countdownTick - Each second of a get-ready countdown (before the start, a set or resuming)
+ * @property {PhaseDetail} start - The workout started with its first phase
+ * @property {ProgressDetail} pause - The timer was paused
+ * @property {ProgressDetail} resume - The timer continued after a pause
+ * @property {PhaseDetail} phaseStart - Another phase started (played through or skipped to)
+ * @property {PhaseEndDetail} phaseEnd - A phase ended (before the next one starts or the workout finishes)
+ * @property {ProgressDetail} tick - Background tick while running, also while the page is hidden
+ * @property {FinishDetail} finish - The workout is complete
+ * @property {{}} reset - The timer went back to the start of the workout
+ */
+
+/** @type {Map<string, Set<Function>>} */
+const listeners = new Map();
+
+/**
+ * Listen to an event
+ * @template {keyof TimerEventMap} K
+ * @param {K} type - Event type, a TimerEvent value
+ * @param {(detail: TimerEventMap[K]) => void} listener - Called with the event details
+ * @returns {() => void} Function that removes the listener
+ */
+export function on(type, listener) {
+  if (!listeners.has(type)) {
+    listeners.set(type, new Set());
+  }
+  listeners.get(type).add(listener);
+  return () => off(type, listener);
+}
+
+/**
+ * Stop listening to an event
+ * @template {keyof TimerEventMap} K
+ * @param {K} type - Event type, a TimerEvent value
+ * @param {(detail: TimerEventMap[K]) => void} listener - Listener added with on()
+ */
+export function off(type, listener) {
+  listeners.get(type)?.delete(listener);
+}
+
+/**
+ * Call the listeners of an event, in the order they were added
+ * @template {keyof TimerEventMap} K
+ * @param {K} type - Event type, a TimerEvent value
+ * @param {TimerEventMap[K]} detail - Event details
+ */
+export function emit(type, detail) {
+  for (const listener of [...(listeners.get(type) ?? [])]) {
+    try {
+      listener(detail);
+    } catch (err) {
+      console.error(`Error in a ${type} listener:`, err);
+    }
+  }
+}
@@ -0,0 +1,203 @@
+/**
+ * Workout history log
+ *
+ * Records each session while it runs (in state, so it survives in session
+ * snapshots) and stores finished or abandoned sessions in IndexedDB.
+ */
+
+import { state } from "./state.js";
+
+const DB_NAME = "hiiting-time";
+const DB_VERSION = 1;
+const STORE_NAME = "sessions";
+
+/** @type {Promise<IDBDatabase>|null} */
+let dbPromise = null;
+
+/**
+ * @typedef {Object} SessionRecord
+ * @property {number} startedAt - Wall-clock start time (Date.now())
+ * @property {Object} config - Workout config the session used
+ * @property {number} workTime - Work time completed, in milliseconds
+ * @property {number} restTime - Non-work time completed (rest, warm-up, ...), in milliseconds
+ * @property {number} pauseCount - Number of pauses
+ * @property {number} pauseDuration - Total time spent paused, in milliseconds
+ * @property {number|null} pausedAt - Wall-clock time of the current pause, null while running
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {number} id - Auto-incremented key
+ * @property {number} startedAt - Wall-clock start time
+ * @property {number} endedAt - Wall-clock end time
+ * @property {Object} config - Workout config the session used
+ * @property {number} workTime - Work time completed, in milliseconds
+ * @property {number} restTime - Non-work time completed, in milliseconds
+ * @property {number} pauseCount - Number of pauses
+ * @property {number} pauseDuration - Total time spent paused, in milliseconds
+ * @property {number} phaseCount - Work phases completed
+ * @property {boolean} completed - Whether the workout ran to the finish
+ */
+
+/**
+ * Start recording a new session
+ * @param {Object} config - Workout config
+ */
+export function startRecord(config) {
+  state.record = {
+    startedAt: Date.now(),
+    config,
+    workTime: 0,
+    restTime: 0,
+    pauseCount: 0,
+    pauseDuration: 0,
+    pausedAt: null,
+  };
+}
+
+/**
+ * Add time spent in a phase to the record
+ * @param {boolean} isWork - Whether the time was spent working
+ * @param {number} duration - Time spent, in milliseconds
+ */
+export function recordPhaseTime(isWork, duration) {
+  if (!state.record) return;
+
+  if (isWork) {
+    state.record.workTime += duration;
+  } else {
+    state.record.restTime += duration;
+  }
+}
+
+/**
+ * Record the start of a pause
+ * @param {number} at - Wall-clock time the pause started (default: now)
+ */
+export function recordPause(at = Date.now()) {
+  if (!state.record || state.record.pausedAt !== null) return;
+
+  state.record.pauseCount++;
+  state.record.pausedAt = at;
+}
+
+/**
+ * Record the end of a pause
+ */
+export function recordResume() {
+  if (state.record) {
+    closePause(state.record);
+  }
+}
+
+/**
+ * Stop recording and store the session in the history
+ * Sessions that never completed any time are dropped
+ * @param {boolean} completed - Whether the workout ran to the finish
+ * @returns {Promise<void>}
+ */
+export async function finishRecord(completed) {
+  const record = state.record;
+  state.record = null;
+  if (!record) return;
+
+  closePause(record);
+  if (record.workTime + record.restTime === 0) return;
+
+  const { pausedAt, ...entry } = record;
+  try {
+    await addEntry({
+      ...entry,
+      endedAt: Date.now(),
+      phaseCount: state.phaseCount,
+      completed,
+    });
+  } catch (err) {
+    console.error("Error saving workout to history:", err);
+  }
+}
+
+/**
+ * Add an open pause to the pause duration
+ * @param {SessionRecord} record - Record to update
+ */
+function closePause(record) {
+  if (record.pausedAt !== null) {
+    record.pauseDuration += Date.now() - record.pausedAt;
+    record.pausedAt = null;
+  }
+}
+
+/**
+ * Open (and on first use, create) the history database
+ * @returns {Promise<IDBDatabase>} Database connection
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+        store.createIndex("startedAt", "startedAt");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Allow a retry after a failed open
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run a single request against the sessions store
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite"
+ * @param {Function} createRequest - Called with the store, returns an IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+async function runRequest(mode, createRequest) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = createRequest(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Store a history entry
+ * @param {Omit<HistoryEntry, "id">} entry - Entry without id
+ * @returns {Promise<number>} Id of the new entry
+ */
+export function addEntry(entry) {
+  return runRequest("readwrite", (store) => store.add(entry));
+}
+
+/**
+ * Load all history entries, newest first
+ * @returns {Promise<HistoryEntry[]>} Entries
+ */
+export async function getEntries() {
+  const entries = await runRequest("readonly", (store) =>
+    store.index("startedAt").getAll(),
+  );
+  return entries.reverse();
+}
+
+/**
+ * Delete a history entry
+ * @param {number} id - Entry id
+ * @returns {Promise<void>}
+ */
+export async function deleteEntry(id) {
+  await runRequest("readwrite", (store) => store.delete(id));
+}
@@ -0,0 +1,144 @@
+/**
+ * Translations
+ * Messages come from JSON locale packs in locales/, one per language, fetched
+ * when a language is first picked. English always loads too, as the fallback
+ * for messages missing from a pack. Static page text is marked with data-i18n
+ * attributes and translated in place.
+ */
+
+import { LOCALES } from "./config.js";
+
+export const DEFAULT_LOCALE = "en";
+
+// Active language and its messages
+let locale = DEFAULT_LOCALE;
+let messages = {};
+
+/** @type {Object<string, string>|null} English messages, once loaded */
+let en = null;
+
+/**
+ * Pick the supported language closest to the browser's preferences
+ * @param {readonly string[]} languages - Language tags, most preferred first (default: the browser's)
+ * @returns {string} Key of LOCALES
+ */
+export function detectLocale(languages = navigator.languages ?? []) {
+  for (const tag of languages) {
+    const code = tag.toLowerCase().split("-")[0];
+    if (code in LOCALES) return code;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Switch the language, loading its pack if needed
+ * @param {string} preferred - Key of LOCALES, or "" to follow the browser
+ */
+export async function setLocale(preferred) {
+  const code = preferred in LOCALES ? preferred : detectLocale();
+  en ??= await loadPack(DEFAULT_LOCALE);
+  const pack = code === DEFAULT_LOCALE ? en : await loadPack(code);
+
+  // Fall back to English if the pack can't be loaded
+  messages = pack ?? en ?? {};
+  locale = pack ? code : DEFAULT_LOCALE;
+  document.documentElement.lang = locale;
+}
+
+/**
+ * Load a locale pack
+ * @param {string} code - Key of LOCALES
+ * @returns {Promise<Object<string, string>|null>} Messages, or null if the pack can't be loaded
+ */
+async function loadPack(code) {
+  try {
+    const url = new URL(`./locales/${code}.json`, import.meta.url);
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return await response.json();
+  } catch (err) {
+    console.error(`Failed to load the ${code} locale pack:`, err);
+    return null;
+  }
+}
+
+/**
+ * Get the active language
+ * @returns {string} Key of LOCALES
+ */
+export function getLocale() {
+  return locale;
+}
+
+/**
+ * Translate a message
+ * @param {string} key - Message key, e.g. "controls.start"
+ * @param {Object<string, string|number>} params - Values for the {name} placeholders
+ * @returns {string} Translated text (the English text, or the key, if missing)
+ */
+export function t(key, params = {}) {
+  const template = messages[key] ?? en?.[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    name in params ? String(params[name]) : match,
+  );
+}
+
+/**
+ * Translate a message that depends on a count, e.g. "1 day" / "2 days"
+ * Packs hold one message per plural category: "key.one", "key.other", ...
+ * @param {string} key - Message key without the category
+ * @param {number} count - Count, also available as the {count} placeholder
+ * @param {Object<string, string|number>} params - Values for other placeholders
+ * @returns {string} Translated text
+ */
+export function plural(key, count, params = {}) {
+  const category = new Intl.PluralRules(locale).select(count);
+  const hasCategory = `${key}.${category}` in messages;
+  return t(hasCategory ? `${key}.${category}` : `${key}.other`, {
+    count: formatNumber(count),
+    ...params,
+  });
+}
+
+/**
+ * Format a number for the active language
+ * @param {number} value - Number to format
+ * @param {Intl.NumberFormatOptions} options - e.g. { style: "percent" }
+ * @returns {string} Formatted number
+ */
+export function formatNumber(value, options = {}) {
+  return new Intl.NumberFormat(locale, options).format(value);
+}
+
+/**
+ * Get the decimal separator of the active language
+ * @returns {string} e.g. "." or ","
+ */
+export function getDecimalSeparator() {
+  return (
+    new Intl.NumberFormat(locale)
+      .formatToParts(1.5)
+      .find((part) => part.type === "decimal")?.value ?? "."
+  );
+}
+
+/**
+ * Translate the marked text and attributes of the page
+ * data-i18n sets the text, data-i18n-label the aria-label and
+ * data-i18n-placeholder the placeholder of an element
+ *
+ * @param {ParentNode} root - Part of the page to translate (default: all of it)
+ */
+export function translatePage(root = document) {
+  for (const element of root.querySelectorAll("[data-i18n]")) {
+    element.textContent = t(element.dataset.i18n);
+  }
+  for (const element of root.querySelectorAll("[data-i18n-label]")) {
+    element.setAttribute("aria-label", t(element.dataset.i18nLabel));
+  }
+  for (const element of root.querySelectorAll("[data-i18n-placeholder]")) {
+    element.placeholder = t(element.dataset.i18nPlaceholder);
+  }
+}
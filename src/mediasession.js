@@ -0,0 +1,149 @@
+/**
+ * Media Session integration
+ * Lets headphones, lock-screen controls and hardware media keys drive the
+ * timer, and shows the current phase and remaining time as media metadata.
+ * Browsers only send those controls to a page that plays media, so a silent
+ * track loops while the timer runs.
+ */
+
+import { formatRemaining } from "./ui.js";
+import { describeRepetitions } from "./program.js";
+
+const ARTWORK = [
+  { src: "icons/icon-192.png", sizes: "192x192", type: "image/png" },
+  { src: "icons/icon-512.png", sizes: "512x512", type: "image/png" },
+];
+
+// Chrome shows no media controls for tracks shorter than 5 seconds
+const SILENCE_SECONDS = 6;
+const SILENCE_SAMPLE_RATE = 8000;
+
+// Last state shown, so the session is only updated when it changes
+let lastMetadata = "";
+
+/** @type {HTMLAudioElement|null} Silent track, created when the timer first runs */
+let silence = null;
+
+/**
+ * Check if the Media Session API is supported
+ * @returns {boolean} True if navigator.mediaSession is available
+ */
+export function isMediaSessionSupported() {
+  return "mediaSession" in navigator;
+}
+
+/**
+ * Register the media action handlers
+ * Actions the browser doesn't know are skipped
+ *
+ * @param {Object<string, Function>} handlers - Handlers by action name (e.g. "play", "nexttrack")
+ */
+export function initMediaSession(handlers) {
+  if (!isMediaSessionSupported()) return;
+
+  for (const [action, handler] of Object.entries(handlers)) {
+    try {
+      navigator.mediaSession.setActionHandler(action, handler);
+    } catch {
+      // Unsupported action in this browser
+    }
+  }
+}
+
+/**
+ * Show the current step and its remaining time
+ * Cheap to call on every tick: nothing is updated until the shown text changes
+ *
+ * @param {import("./program.js").Step} step - Current step
+ * @param {number} elapsed - Elapsed time in the step, in milliseconds
+ * @param {number} totalTime - Duration of the step, in milliseconds (Infinity for the stopwatch)
+ * @param {boolean} isRunning - Whether the timer is running
+ */
+export function updateMediaSession(step, elapsed, totalTime, isRunning) {
+  if (!isMediaSessionSupported()) return;
+
+  const { mediaSession } = navigator;
+  const artist = formatRemaining(elapsed, totalTime);
+  const album = describeRepetitions(step) || "hiiting-time";
+  const text = [step.name, artist, album, isRunning].join("\n");
+  if (text === lastMetadata) return;
+
+  lastMetadata = text;
+  mediaSession.metadata = new MediaMetadata({
+    title: step.name,
+    artist,
+    album,
+    artwork: ARTWORK,
+  });
+  mediaSession.playbackState = isRunning ? "playing" : "paused";
+  setSilencePlaying(isRunning);
+  mediaSession.setPositionState?.({
+    duration: totalTime / 1000,
+    position: Math.min(Math.max(0, elapsed), totalTime) / 1000,
+    playbackRate: 1,
+  });
+}
+
+/**
+ * Remove the metadata when no workout is in progress
+ */
+export function clearMediaSession() {
+  if (!isMediaSessionSupported()) return;
+
+  lastMetadata = "";
+  navigator.mediaSession.metadata = null;
+  navigator.mediaSession.playbackState = "none";
+  setSilencePlaying(false);
+}
+
+/**
+ * Play or pause the silent track
+ * @param {boolean} isPlaying - Whether it should play
+ */
+function setSilencePlaying(isPlaying) {
+  if (!isPlaying) {
+    silence?.pause();
+    return;
+  }
+
+  if (!silence) {
+    silence = new Audio(createSilentWav());
+    silence.loop = true;
+  }
+  // Refused without a user gesture, the controls then stay inactive
+  silence.play().catch(() => {});
+}
+
+/**
+ * Build a silent WAV file (8-bit mono PCM)
+ * @returns {string} Data URL of the file
+ */
+function createSilentWav() {
+  const length = SILENCE_SECONDS * SILENCE_SAMPLE_RATE;
+  // 128 is the zero line of 8-bit samples
+  const bytes = new Uint8Array(44 + length).fill(128);
+  const view = new DataView(bytes.buffer);
+  const writeText = (offset, text) =>
+    [...text].forEach((char, i) =>
+      view.setUint8(offset + i, char.charCodeAt(0)),
+    );
+
+  writeText(0, "RIFF");
+  view.setUint32(4, 36 + length, true);
+  writeText(8, "WAVE");
+  writeText(12, "fmt ");
+  view.setUint32(16, 16, true); // Format chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // Channels
+  view.setUint32(24, SILENCE_SAMPLE_RATE, true);
+  view.setUint32(28, SILENCE_SAMPLE_RATE, true); // Bytes per second
+  view.setUint16(32, 1, true); // Bytes per sample
+  view.setUint16(34, 8, true); // Bits per sample
+  writeText(36, "data");
+  view.setUint32(40, length, true);
+
+  const binary = Array.from(bytes, (byte) => String.fromCharCode(byte)).join(
+    "",
+  );
+  return `data:audio/wav;base64,${btoa(binary)}`;
+}
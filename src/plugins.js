@@ -0,0 +1,89 @@
+/**
+ * Plugin API for third-party scripts
+ *
+ * A plugin is an object with a name and a setup function, which subscribes to
+ * the timer events. Scripts loaded after the app call
+ * window.hiitingTime.registerPlugin(plugin); scripts loaded before it push
+ * their plugins onto window.hiitingTimePlugins, which is read on startup.
+ */
+
+import { on, TimerEvent } from "./events.js";
+
+/**
+ * @typedef {Object} PluginAPI
+ * @property {typeof on} on - Listen to a timer event, returns a function that removes the listener
+ * @property {typeof TimerEvent} TimerEvent - Event types
+ */
+
+/**
+ * @typedef {Object} Plugin
+ * @property {string} name - Unique name, used in error messages
+ * @property {(api: PluginAPI) => (void | (() => void))} setup - Subscribes to events, may return a cleanup function
+ */
+
+/** @type {Map<string, () => void>} Unregister function of each plugin by name */
+const registered = new Map();
+
+/**
+ * Register a plugin and run its setup
+ * @param {Plugin} plugin - Plugin to register
+ * @returns {() => void} Function that removes the plugin's listeners and runs its cleanup
+ * @throws {Error} If the plugin is malformed or its name is taken
+ */
+export function registerPlugin(plugin) {
+  if (typeof plugin?.name !== "string" || !plugin.name) {
+    throw new Error("A plugin needs a name");
+  }
+  if (typeof plugin.setup !== "function") {
+    throw new Error(`Plugin "${plugin.name}" has no setup function`);
+  }
+  if (registered.has(plugin.name)) {
+    throw new Error(`Plugin "${plugin.name}" is already registered`);
+  }
+
+  // Track the plugin's listeners so unregistering removes them all
+  const unsubscribers = [];
+  const api = {
+    on(type, listener) {
+      const unsubscribe = on(type, listener);
+      unsubscribers.push(unsubscribe);
+      return unsubscribe;
+    },
+    TimerEvent,
+  };
+
+  let cleanup;
+  try {
+    cleanup = plugin.setup(api);
+  } catch (err) {
+    unsubscribers.forEach((unsubscribe) => unsubscribe());
+    throw err;
+  }
+
+  const unregister = () => {
+    if (registered.get(plugin.name) !== unregister) return;
+    registered.delete(plugin.name);
+    unsubscribers.forEach((unsubscribe) => unsubscribe());
+    if (typeof cleanup === "function") {
+      cleanup();
+    }
+  };
+  registered.set(plugin.name, unregister);
+  return unregister;
+}
+
+/**
+ * Expose the plugin API on window and register the plugins queued before startup
+ * A plugin that fails to register is logged and skipped
+ */
+export function initPlugins() {
+  window.hiitingTime = { registerPlugin, TimerEvent };
+
+  for (const plugin of window.hiitingTimePlugins ?? []) {
+    try {
+      registerPlugin(plugin);
+    } catch (err) {
+      console.error(`Error registering plugin "${plugin?.name}":`, err);
+    }
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * Example plugin: post phase changes to a webhook
+ *
+ * Sends a JSON body for every phase that starts and when the workout is
+ * complete, e.g. to a local server that drives gym lights. Load it as a module
+ * after the app:
+ *
+ *   <script type="module">
+ *     import { createWebhookPlugin } from "./plugins/webhook.js";
+ *     window.hiitingTime.registerPlugin(
+ *       createWebhookPlugin("http://localhost:8080/hook"),
+ *     );
+ *   </script>
+ */
+
+/**
+ * Create a plugin that posts the timer events to a URL
+ * Failed requests are logged and never interrupt the workout
+ * @param {string} url - Webhook URL
+ * @param {typeof fetch} fetchFn - Fetch implementation (default: window.fetch)
+ * @returns {import("../plugins.js").Plugin} Plugin to register
+ */
+export function createWebhookPlugin(url, fetchFn = fetch) {
+  const post = (body) => {
+    // keepalive lets the last request finish if the page is closed
+    fetchFn(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ...body, time: new Date().toISOString() }),
+      keepalive: true,
+    }).catch((err) => console.error("Error posting to the webhook:", err));
+  };
+
+  return {
+    name: "webhook",
+    setup({ on, TimerEvent }) {
+      const postPhase = ({ step, index, totalTime }) =>
+        post({
+          event: "phase",
+          index,
+          name: step.name,
+          isWork: step.isWork,
+          duration: Number.isFinite(totalTime) ? totalTime : null,
+        });
+
+      on(TimerEvent.START, postPhase);
+      on(TimerEvent.PHASE_START, postPhase);
+      on(TimerEvent.FINISH, ({ phaseCount, sessionElapsed }) =>
+        post({ event: "finish", phaseCount, sessionElapsed }),
+      );
+    },
+  };
+}
@@ -0,0 +1,216 @@
+/**
+ * Preset library
+ * Built-in workout templates plus user presets persisted in localStorage
+ */
+
+import { loadJSON, saveJSON } from "./storage.js";
+import { validateConfig, isSameConfig } from "./program.js";
+
+const PRESETS_KEY = "presets";
+const CURRENT_CONFIG_KEY = "currentConfig";
+
+/**
+ * @typedef {Object} Preset
+ * @property {string} id - Unique identifier
+ * @property {string} name - Display name
+ * @property {boolean} builtIn - Whether this is a read-only template
+ * @property {Object} config - Workout config (durations in milliseconds)
+ */
+
+/**
+ * Read-only workout templates
+ * @type {Preset[]}
+ */
+export const BUILT_IN_PRESETS = [
+  {
+    id: "builtin:tabata",
+    name: "Tabata",
+    builtIn: true,
+    config: {
+      workTime: 20000,
+      restTime: 10000,
+      rounds: 8,
+      sets: 1,
+      setRestTime: 60000,
+      warmupTime: 0,
+      cooldownTime: 0,
+    },
+  },
+  {
+    // Every minute on the minute: back-to-back 60 s intervals without rest
+    id: "builtin:emom",
+    name: "EMOM 10 min",
+    builtIn: true,
+    config: {
+      workTime: 60000,
+      restTime: 0,
+      rounds: 10,
+      sets: 1,
+      setRestTime: 60000,
+      warmupTime: 0,
+      cooldownTime: 0,
+    },
+  },
+  {
+    // As many rounds as possible: one long countdown
+    id: "builtin:amrap",
+    name: "AMRAP 15 min",
+    builtIn: true,
+    config: {
+      workTime: 900000,
+      restTime: 0,
+      rounds: 1,
+      sets: 1,
+      setRestTime: 60000,
+      warmupTime: 0,
+      cooldownTime: 0,
+    },
+  },
+  {
+    // Long holds with short transitions between stretches
+    id: "builtin:stretching",
+    name: "Stretching",
+    builtIn: true,
+    config: {
+      workTime: 60000,
+      restTime: 15000,
+      rounds: 10,
+      sets: 1,
+      setRestTime: 60000,
+      warmupTime: 0,
+      cooldownTime: 0,
+    },
+  },
+];
+
+/**
+ * Load user presets from storage, dropping any with an invalid config
+ * @returns {Preset[]} User presets
+ */
+export function loadUserPresets() {
+  const stored = loadJSON(PRESETS_KEY, []);
+  if (!Array.isArray(stored)) return [];
+
+  return stored.flatMap((preset) => {
+    const config = validateConfig(preset?.config);
+    if (!config || typeof preset.name !== "string") return [];
+    return [
+      { id: String(preset.id), name: preset.name, builtIn: false, config },
+    ];
+  });
+}
+
+/**
+ * Get built-in templates followed by user presets
+ * @returns {Preset[]} All presets
+ */
+export function getAllPresets() {
+  return [...BUILT_IN_PRESETS, ...loadUserPresets()];
+}
+
+/**
+ * Find a preset by id
+ * @param {string} id - Preset id
+ * @returns {Preset|undefined} Matching preset
+ */
+export function findPreset(id) {
+  return getAllPresets().find((preset) => preset.id === id);
+}
+
+/**
+ * Find the first preset whose config equals the given config
+ * @param {Object} config - Workout config
+ * @returns {Preset|undefined} Matching preset
+ */
+export function findMatchingPreset(config) {
+  return getAllPresets().find((preset) => isSameConfig(preset.config, config));
+}
+
+/**
+ * Check whether two preset names are the same, ignoring case
+ * @param {string} a - Preset name
+ * @param {string} b - Preset name
+ * @returns {boolean} True if they name the same preset
+ */
+export function isSameName(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Check whether a name belongs to a built-in template
+ * @param {string} name - Preset name
+ * @returns {boolean} True if the name is reserved
+ */
+export function isBuiltInName(name) {
+  return BUILT_IN_PRESETS.some((preset) => isSameName(preset.name, name));
+}
+
+/**
+ * Save a user preset, replacing an existing one with the same name (in any case)
+ * @param {string} name - Preset name (must not be a built-in name)
+ * @param {Object} config - Workout config
+ * @returns {Preset} Saved preset
+ */
+export function savePreset(name, config) {
+  const presets = loadUserPresets();
+  const existing = presets.find((preset) => isSameName(preset.name, name));
+
+  if (existing) {
+    existing.name = name;
+    existing.config = { ...config };
+    saveJSON(PRESETS_KEY, presets);
+    return existing;
+  }
+
+  const preset = {
+    id: createId(presets),
+    name,
+    builtIn: false,
+    config: { ...config },
+  };
+  saveJSON(PRESETS_KEY, [...presets, preset]);
+  return preset;
+}
+
+/**
+ * Create an id no user preset has yet
+ * Presets saved in the same millisecond (e.g. by an import) get a counter
+ * @param {Preset[]} presets - Existing user presets
+ * @returns {string} New id
+ */
+function createId(presets) {
+  const ids = new Set(presets.map((preset) => preset.id));
+  const base = `user:${Date.now()}`;
+
+  let id = base;
+  for (let count = 2; ids.has(id); count++) {
+    id = `${base}-${count}`;
+  }
+  return id;
+}
+
+/**
+ * Delete a user preset
+ * Built-in templates cannot be deleted
+ * @param {string} id - Preset id
+ */
+export function deletePreset(id) {
+  const presets = loadUserPresets().filter((preset) => preset.id !== id);
+  saveJSON(PRESETS_KEY, presets);
+}
+
+/**
+ * Remember the config in use so it survives reloads
+ * @param {Object} config - Workout config
+ */
+export function saveCurrentConfig(config) {
+  saveJSON(CURRENT_CONFIG_KEY, config);
+}
+
+/**
+ * Load the config that was in use before the last reload
+ * @returns {Object|null} Validated config, or null if none is stored
+ */
+export function loadCurrentConfig() {
+  return validateConfig(loadJSON(CURRENT_CONFIG_KEY, null));
+}
@@ -0,0 +1,401 @@
+/**
+ * Workout program model
+ *
+ * A program is an ordered list of segments. A segment is either a timed
+ * interval or a group of segments repeated a number of times. Groups nest,
+ * so "3 sets × 8 rounds" is a "Set" group containing a "Round" group.
+ * Programs are flattened into a linear list of steps for the timer to walk.
+ * An optional exercise list rotates through the work intervals of each set.
+ * Countdown and stopwatch modes are programs of a single interval; the
+ * stopwatch interval never ends (duration Infinity).
+ * Interval and group names are in the active language (see i18n.js).
+ */
+
+import { t } from "./i18n.js";
+
+/**
+ * Timer modes
+ * @enum {string}
+ */
+export const TimerMode = {
+  INTERVAL: "interval",
+  COUNTDOWN: "countdown",
+  STOPWATCH: "stopwatch",
+};
+
+/**
+ * Interval kinds
+ * Only WORK intervals count as completed phases and use the work colors
+ * @enum {string}
+ */
+export const SegmentKind = {
+  WORK: "work",
+  REST: "rest",
+  SET_REST: "setRest",
+  WARMUP: "warmup",
+  COOLDOWN: "cooldown",
+};
+
+// Longest interval, in seconds (3 hours)
+const MAX_DURATION = 3 * 60 * 60;
+
+/**
+ * Workout settings a program is built from
+ * Durations are stored in milliseconds and edited in seconds (unit 1000)
+ * Minimums and maximums are given in edit units; the maximums keep a
+ * program small enough to build, whatever a link or import file contains
+ * Fields added after the first release have a default, used for configs saved before them
+ */
+export const CONFIG_FIELDS = {
+  workTime: { unit: 1000, min: 1, max: MAX_DURATION },
+  restTime: { unit: 1000, min: 0, max: MAX_DURATION },
+  rounds: { unit: 1, min: 1, max: 100 },
+  sets: { unit: 1, min: 1, max: 20 },
+  setRestTime: { unit: 1000, min: 0, max: MAX_DURATION },
+  warmupTime: { unit: 1000, min: 0, max: MAX_DURATION },
+  cooldownTime: { unit: 1000, min: 0, max: MAX_DURATION },
+  countdownTime: { unit: 1000, min: 1, max: MAX_DURATION, default: 300000 },
+};
+
+/**
+ * Limits of the exercise list of a workout
+ */
+export const EXERCISE_LIMITS = {
+  count: 50,
+  nameLength: 40,
+  noteLength: 200,
+};
+
+/**
+ * @typedef {Object} Exercise
+ * @property {string} name - Exercise name (e.g. "Burpees")
+ * @property {string} note - Optional note, "" for none
+ * @property {number|null} duration - Work duration override in milliseconds, null for the workout's work time
+ */
+
+/**
+ * @typedef {Object} IntervalSegment
+ * @property {string} name - Display name (e.g. "Work", "Warm-up")
+ * @property {SegmentKind} kind - Interval kind
+ * @property {number} duration - Duration in milliseconds
+ * @property {Exercise[]} [exercises] - Exercises rotated through the repetitions of the enclosing group
+ */
+
+/**
+ * @typedef {Object} GroupSegment
+ * @property {string} name - Name of one repetition (e.g. "Round", "Set")
+ * @property {number} repeat - Number of repetitions
+ * @property {Array<IntervalSegment|GroupSegment>} segments - Segments of one repetition
+ * @property {IntervalSegment|null} [between] - Interval inserted between repetitions, not after the last
+ */
+
+/**
+ * @typedef {Object} Program
+ * @property {Array<IntervalSegment|GroupSegment>} segments - Ordered top-level segments
+ */
+
+/**
+ * @typedef {Object} Repetition
+ * @property {string} name - Group name
+ * @property {number} index - 1-based repetition number
+ * @property {number} count - Total repetitions of the group
+ */
+
+/**
+ * @typedef {Object} Step
+ * @property {string} name - Display name (the exercise name for exercises)
+ * @property {string} note - Exercise note, "" for none
+ * @property {SegmentKind} kind - Interval kind
+ * @property {number} duration - Duration in milliseconds
+ * @property {boolean} isWork - Whether this is a work interval
+ * @property {Repetition[]} repetitions - Enclosing groups, outermost first
+ */
+
+/**
+ * Build a program from the flat timer settings
+ * Warm-up, set rest and cool-down are left out when their duration is 0
+ *
+ * @param {Object} config - Settings (durations in milliseconds)
+ * @param {TimerMode} [config.mode] - Timer mode (default: interval)
+ * @param {number} [config.countdownTime] - Duration of the countdown mode
+ * @param {number} config.workTime - Work interval duration
+ * @param {number} config.restTime - Rest between rounds
+ * @param {number} config.rounds - Rounds per set
+ * @param {number} config.sets - Number of sets
+ * @param {number} config.setRestTime - Rest between sets
+ * @param {number} config.warmupTime - Warm-up before the first set
+ * @param {number} config.cooldownTime - Cool-down after the last set
+ * @param {Exercise[]} [config.exercises] - Exercises for the rounds of each set, in order
+ * @returns {Program} Program
+ */
+export function buildProgram(config) {
+  if (config.mode === TimerMode.COUNTDOWN) {
+    return {
+      segments: [
+        interval(t("step.countdown"), SegmentKind.WORK, config.countdownTime),
+      ],
+    };
+  }
+  if (config.mode === TimerMode.STOPWATCH) {
+    return {
+      segments: [interval(t("step.stopwatch"), SegmentKind.WORK, Infinity)],
+    };
+  }
+
+  const segments = [];
+
+  if (config.warmupTime > 0) {
+    segments.push(
+      interval(t("step.warmup"), SegmentKind.WARMUP, config.warmupTime),
+    );
+  }
+
+  const work = interval(t("step.work"), SegmentKind.WORK, config.workTime);
+  if (config.exercises?.length > 0) {
+    work.exercises = config.exercises;
+  }
+
+  const rounds = {
+    name: t("step.round"),
+    repeat: config.rounds,
+    segments: [work],
+    between:
+      config.restTime > 0
+        ? interval(t("step.rest"), SegmentKind.REST, config.restTime)
+        : null,
+  };
+
+  if (config.sets > 1) {
+    segments.push({
+      name: t("step.set"),
+      repeat: config.sets,
+      segments: [rounds],
+      between:
+        config.setRestTime > 0
+          ? interval(
+              t("step.setRest"),
+              SegmentKind.SET_REST,
+              config.setRestTime,
+            )
+          : null,
+    });
+  } else {
+    segments.push(rounds);
+  }
+
+  if (config.cooldownTime > 0) {
+    segments.push(
+      interval(t("step.cooldown"), SegmentKind.COOLDOWN, config.cooldownTime),
+    );
+  }
+
+  return { segments };
+}
+
+/**
+ * Validate a workout config, e.g. one read back from storage
+ * A missing exercise list is treated as empty and a missing mode as interval
+ * @param {Object} config - Candidate config
+ * @returns {Object|null} Config with only the known fields, or null if any field is missing or out of range
+ */
+export function validateConfig(config) {
+  if (!config || typeof config !== "object") return null;
+
+  const valid = {};
+  for (const [key, field] of Object.entries(CONFIG_FIELDS)) {
+    const value = config[key] ?? field.default;
+    const isInRange =
+      value >= field.min * field.unit && value <= field.max * field.unit;
+    if (!Number.isInteger(value) || !isInRange) {
+      return null;
+    }
+    valid[key] = value;
+  }
+
+  const mode = config.mode ?? TimerMode.INTERVAL;
+  if (!Object.values(TimerMode).includes(mode)) return null;
+  valid.mode = mode;
+
+  const exercises = validateExercises(config.exercises ?? []);
+  if (!exercises) return null;
+  valid.exercises = exercises;
+
+  return valid;
+}
+
+/**
+ * Validate an exercise list
+ * @param {*} exercises - Candidate list
+ * @returns {Exercise[]|null} Exercises with only the known fields, or null if invalid
+ */
+function validateExercises(exercises) {
+  if (!Array.isArray(exercises) || exercises.length > EXERCISE_LIMITS.count) {
+    return null;
+  }
+
+  const valid = [];
+  for (const exercise of exercises) {
+    const name = typeof exercise?.name === "string" ? exercise.name.trim() : "";
+    const note = exercise?.note ?? "";
+    const duration = exercise?.duration ?? null;
+
+    const isValid =
+      name.length > 0 &&
+      name.length <= EXERCISE_LIMITS.nameLength &&
+      typeof note === "string" &&
+      note.length <= EXERCISE_LIMITS.noteLength &&
+      (duration === null ||
+        (Number.isInteger(duration) &&
+          duration >=
+            CONFIG_FIELDS.workTime.min * CONFIG_FIELDS.workTime.unit &&
+          duration <=
+            CONFIG_FIELDS.workTime.max * CONFIG_FIELDS.workTime.unit));
+    if (!isValid) return null;
+
+    valid.push({ name, note, duration });
+  }
+  return valid;
+}
+
+/**
+ * Compare two workout configs, including their exercise lists
+ * Only the settings used by the mode are compared
+ * @param {Object} a - Config
+ * @param {Object} b - Config
+ * @returns {boolean} True if the configs describe the same workout
+ */
+export function isSameConfig(a, b) {
+  const mode = a.mode ?? TimerMode.INTERVAL;
+  if (mode !== (b.mode ?? TimerMode.INTERVAL)) return false;
+  if (mode === TimerMode.STOPWATCH) return true;
+  if (mode === TimerMode.COUNTDOWN) {
+    return a.countdownTime === b.countdownTime;
+  }
+
+  const exercisesA = a.exercises ?? [];
+  const exercisesB = b.exercises ?? [];
+  const intervalKeys = Object.keys(CONFIG_FIELDS).filter(
+    (key) => key !== "countdownTime",
+  );
+
+  return (
+    intervalKeys.every((key) => a[key] === b[key]) &&
+    exercisesA.length === exercisesB.length &&
+    exercisesA.every(
+      (exercise, index) =>
+        exercise.name === exercisesB[index].name &&
+        exercise.note === exercisesB[index].note &&
+        exercise.duration === exercisesB[index].duration,
+    )
+  );
+}
+
+/**
+ * Flatten a program into the linear list of steps the timer walks through
+ * @param {Program} program - Program to flatten
+ * @returns {Step[]} Steps in playback order
+ */
+export function flattenProgram(program) {
+  const steps = [];
+  flattenSegments(program.segments, [], steps);
+  return steps;
+}
+
+/**
+ * Count the work intervals in a list of steps
+ * @param {Step[]} steps - Flattened steps
+ * @returns {number} Number of work steps
+ */
+export function countWorkSteps(steps) {
+  return steps.filter((step) => step.isWork).length;
+}
+
+/**
+ * Describe where a step sits in the program, e.g. "Set 2/3 · Round 5/8"
+ * @param {Step} step - Step to describe
+ * @returns {string} Repetition summary (empty for top-level steps)
+ */
+export function describeRepetitions(step) {
+  return step.repetitions
+    .filter((repetition) => repetition.count > 1)
+    .map(({ name, index, count }) => `${name} ${index}/${count}`)
+    .join(" · ");
+}
+
+/**
+ * Summarize a workout config, e.g. "3 sets × 8 × 20/10 s" or "Countdown 300 s"
+ * @param {Object} config - Workout config (durations in milliseconds)
+ * @returns {string} Short description
+ */
+export function describeConfig(config) {
+  if (config.mode === TimerMode.COUNTDOWN) {
+    return t("config.countdown", { seconds: config.countdownTime / 1000 });
+  }
+  if (config.mode === TimerMode.STOPWATCH) return t("step.stopwatch");
+
+  const rounds = `${config.rounds} × ${config.workTime / 1000}/${config.restTime / 1000} s`;
+  return config.sets > 1
+    ? t("config.sets", { sets: config.sets, rounds })
+    : rounds;
+}
+
+/**
+ * Create an interval segment
+ * @param {string} name - Display name
+ * @param {SegmentKind} kind - Interval kind
+ * @param {number} duration - Duration in milliseconds
+ * @returns {IntervalSegment} Interval segment
+ */
+function interval(name, kind, duration) {
+  return { name, kind, duration };
+}
+
+/**
+ * Recursively append the steps of a segment list
+ * @param {Array<IntervalSegment|GroupSegment>} segments - Segments to flatten
+ * @param {Repetition[]} repetitions - Enclosing groups
+ * @param {Step[]} steps - Output list
+ */
+function flattenSegments(segments, repetitions, steps) {
+  for (const segment of segments) {
+    if (!("repeat" in segment)) {
+      steps.push(toStep(segment, repetitions));
+      continue;
+    }
+
+    for (let index = 1; index <= segment.repeat; index++) {
+      const nested = [
+        ...repetitions,
+        { name: segment.name, index, count: segment.repeat },
+      ];
+      flattenSegments(segment.segments, nested, steps);
+
+      // Intervals between repetitions are skipped after the last one
+      if (segment.between && index < segment.repeat) {
+        steps.push(toStep(segment.between, nested));
+      }
+    }
+  }
+}
+
+/**
+ * Convert an interval segment to a step
+ * An interval with exercises takes the exercise of the current repetition
+ * of its enclosing group, cycling when there are fewer exercises than repetitions
+ * @param {IntervalSegment} segment - Interval segment
+ * @param {Repetition[]} repetitions - Enclosing groups
+ * @returns {Step} Step
+ */
+function toStep(segment, repetitions) {
+  const index = (repetitions.at(-1)?.index ?? 1) - 1;
+  const exercise = segment.exercises?.[index % segment.exercises.length];
+
+  return {
+    name: exercise?.name ?? segment.name,
+    note: exercise?.note ?? "",
+    kind: segment.kind,
+    duration: exercise?.duration ?? segment.duration,
+    isWork: segment.kind === SegmentKind.WORK,
+    repetitions,
+  };
+}
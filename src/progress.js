@@ -0,0 +1,36 @@
+/**
+ * Progress cue tracking
+ * Cues at points in a phase (halfway, the final seconds) fire once, when the
+ * elapsed time first passes them. Voice, vibration and the screen-reader
+ * announcements each keep a tracker of their own.
+ */
+
+import { LATE_CUE_TOLERANCE } from "./config.js";
+
+/**
+ * @typedef {Object} ProgressTracker
+ * @property {(elapsed: number) => (at: number) => boolean} advance - Move to the elapsed time, returns a check whether a point was passed on the way
+ * @property {(elapsed: number) => void} sync - Continue from the elapsed time without passing anything (phase start, resume)
+ */
+
+/**
+ * Create a tracker for the elapsed time in the current phase
+ * @returns {ProgressTracker} Tracker starting at the beginning of a phase
+ */
+export function createProgressTracker() {
+  let lastElapsed = 0;
+
+  return {
+    advance(elapsed) {
+      const previous = lastElapsed;
+      lastElapsed = elapsed;
+
+      // Skip cues noticed too late to be useful
+      return (at) =>
+        previous < at && elapsed >= at && elapsed - at < LATE_CUE_TOLERANCE;
+    },
+    sync(elapsed) {
+      lastElapsed = elapsed;
+    },
+  };
+}
@@ -0,0 +1,56 @@
+/**
+ * Service worker registration and update handling
+ */
+
+/** @type {ServiceWorker|null} */
+let waitingWorker = null;
+
+/**
+ * Register the service worker
+ * Calls onUpdateAvailable when a new version has been installed and is waiting
+ *
+ * @param {Function} onUpdateAvailable - Called without arguments when an update is ready
+ */
+export async function registerServiceWorker(onUpdateAvailable) {
+  if (!("serviceWorker" in navigator)) return;
+
+  let registration;
+  try {
+    registration = await navigator.serviceWorker.register("sw.js");
+  } catch (err) {
+    console.error("Error registering service worker:", err);
+    return;
+  }
+
+  const notify = (worker) => {
+    waitingWorker = worker;
+    onUpdateAvailable();
+  };
+
+  // An update may already be waiting from a previous visit
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    notify(registration.waiting);
+  }
+
+  registration.addEventListener("updatefound", () => {
+    const worker = registration.installing;
+    worker.addEventListener("statechange", () => {
+      // Without a controller this is the first install, not an update
+      if (worker.state === "installed" && navigator.serviceWorker.controller) {
+        notify(worker);
+      }
+    });
+  });
+}
+
+/**
+ * Activate the waiting service worker and reload once it has taken over
+ */
+export function applyUpdate() {
+  if (!waitingWorker) return;
+
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    window.location.reload();
+  });
+  waitingWorker.postMessage({ type: "SKIP_WAITING" });
+}
@@ -0,0 +1,125 @@
+/**
+ * In-progress session persistence
+ *
+ * Snapshots the running or paused session to localStorage so it can be
+ * resumed after the tab is killed. Timestamps use the wall clock (Date.now()),
+ * because performance.now() restarts from zero on every page load.
+ */
+
+import { state, TimerStatus } from "./state.js";
+import { loadJSON, saveJSON, remove } from "./storage.js";
+import { validateConfig } from "./program.js";
+import * as timer from "./timer.js";
+
+const SESSION_KEY = "session";
+
+// Minimum wall-clock time between periodic snapshots
+const SAVE_INTERVAL = 1000;
+
+let lastSavedAt = 0;
+
+/**
+ * @typedef {Object} SessionSnapshot
+ * @property {number} savedAt - Wall-clock time of the snapshot (last moment the session was alive)
+ * @property {TimerStatus} status - RUNNING or PAUSED
+ * @property {number} stepIndex - Index of the current program step
+ * @property {number|null} phaseStartedAt - Wall-clock time the current phase started (running only)
+ * @property {number} elapsed - Elapsed time in the current phase when paused, in milliseconds
+ * @property {number} phaseCount - Number of completed work phases
+ * @property {Object<number, number>} adjustments - Time added to or removed from steps, by step index
+ * @property {number[]} extendedSteps - Indexes of the rests already extended
+ * @property {number[]} laps - Stopwatch laps, as session elapsed times in milliseconds
+ * @property {Object} config - Workout config the session was started with
+ * @property {import("./history.js").SessionRecord|null} record - History record of the session
+ */
+
+/**
+ * Snapshot the current session
+ * Only running and paused sessions are saved
+ * @param {boolean} force - Save even if the last snapshot is recent
+ */
+export function saveSession(force = false) {
+  const now = Date.now();
+  if (!force && now - lastSavedAt < SAVE_INTERVAL) return;
+
+  const isRunning = state.status === TimerStatus.RUNNING;
+  if (!isRunning && state.status !== TimerStatus.PAUSED) return;
+
+  lastSavedAt = now;
+  saveJSON(SESSION_KEY, {
+    savedAt: now,
+    status: state.status,
+    stepIndex: state.stepIndex,
+    phaseStartedAt: isRunning ? now - timer.getElapsed() : null,
+    elapsed: isRunning ? 0 : timer.getElapsed(),
+    phaseCount: state.phaseCount,
+    adjustments: state.adjustments,
+    extendedSteps: state.extendedSteps,
+    laps: state.laps,
+    config: timer.getConfig(),
+    record: state.record,
+  });
+}
+
+/**
+ * Load the saved session, if any
+ * @returns {SessionSnapshot|null} Valid snapshot, or null if none is stored
+ */
+export function loadSession() {
+  const snapshot = loadJSON(SESSION_KEY, null);
+  if (!snapshot || !validateConfig(snapshot.config)) return null;
+
+  const isKnownStatus =
+    snapshot.status === TimerStatus.RUNNING ||
+    snapshot.status === TimerStatus.PAUSED;
+  if (!isKnownStatus || !Number.isInteger(snapshot.stepIndex)) return null;
+
+  return {
+    ...snapshot,
+    adjustments: validateAdjustments(snapshot.adjustments),
+    extendedSteps: Array.isArray(snapshot.extendedSteps)
+      ? snapshot.extendedSteps.filter(Number.isInteger)
+      : [],
+    laps: Array.isArray(snapshot.laps)
+      ? snapshot.laps.filter(Number.isFinite)
+      : [],
+  };
+}
+
+/**
+ * Keep the valid step adjustments of a snapshot
+ * Snapshots from before adjustments existed have none
+ * @param {*} adjustments - Saved adjustments
+ * @returns {Object<number, number>} Adjustments with finite amounts
+ */
+function validateAdjustments(adjustments) {
+  if (!adjustments || typeof adjustments !== "object") return {};
+
+  return Object.fromEntries(
+    Object.entries(adjustments).filter(
+      ([index, amount]) =>
+        Number.isInteger(Number(index)) && Number.isFinite(amount),
+    ),
+  );
+}
+
+/**
+ * Forget the saved session (after reset, finish or discard)
+ */
+export function clearSession() {
+  lastSavedAt = 0;
+  remove(SESSION_KEY);
+}
+
+/**
+ * Get the phase elapsed time a snapshot should resume from
+ * A running session resumes from the last moment it was known to be alive
+ * @param {SessionSnapshot} snapshot - Saved session
+ * @returns {number} Elapsed time in the saved phase, in milliseconds
+ */
+export function getResumeElapsed(snapshot) {
+  if (snapshot.status === TimerStatus.RUNNING) {
+    return Math.max(0, snapshot.savedAt - snapshot.phaseStartedAt);
+  }
+  return snapshot.elapsed;
+}
@@ -0,0 +1,192 @@
+/**
+ * App preferences (everything that isn't the workout itself)
+ * Persisted to localStorage and merged with the defaults on load, so
+ * preferences added in later versions get their default value
+ */
+
+import { loadJSON, saveJSON } from "./storage.js";
+import { FINISH_CONFIG } from "./config.js";
+
+const SETTINGS_KEY = "settings";
+
+/**
+ * @typedef {Object} VoiceCues
+ * @property {boolean} phase - Announce the phase name ("Work", "Rest", ...)
+ * @property {boolean} round - Announce the round ("Round 5 of 8") when work starts
+ * @property {boolean} next - Announce what comes next when a rest starts
+ * @property {boolean} halfway - Announce "Halfway"
+ * @property {boolean} warning - Announce the seconds left before a phase ends
+ */
+
+/**
+ * @typedef {Object} VoiceSettings
+ * @property {boolean} muted - Whether voice cues are muted (independent of the beeps)
+ * @property {string} voiceURI - Selected voice, or "" for the browser default
+ * @property {string} lang - Language to pick voices from, or "" for any
+ * @property {number} rate - Speaking rate (1 is normal speed)
+ * @property {VoiceCues} cues - Which cues are spoken
+ */
+
+/**
+ * @typedef {Object} SoundSettings
+ * @property {boolean} muted - Whether sounds are muted
+ * @property {string} theme - Sound theme, a key of SOUND_THEMES
+ * @property {number} volume - Master volume from 0 to 1
+ * @property {number} warningTicks - Ticks in the last seconds of every phase (0 for none)
+ */
+
+/**
+ * @typedef {Object} VibrationPatterns
+ * @property {number[]} workStart - Played when a work interval starts
+ * @property {number[]} restStart - Played when any other interval starts
+ * @property {number[]} warning - Played in each of the last seconds of a phase
+ * @property {number[]} finish - Played when the workout is complete
+ */
+
+/**
+ * @typedef {Object} VibrationSettings
+ * @property {boolean} enabled - Whether the device vibrates on cues
+ * @property {number} warningPulses - Pulses in the last seconds of every phase (0 for none)
+ * @property {VibrationPatterns} patterns - Alternating vibrate/pause durations in milliseconds, per event
+ */
+
+/**
+ * @typedef {Object} DisplaySettings
+ * @property {boolean} round - Show the round (innermost repetition) of the current phase
+ * @property {boolean} totalElapsed - Show the time elapsed in the whole session
+ * @property {boolean} totalRemaining - Show the time left in the whole session
+ * @property {boolean} progressBar - Show a progress bar for the whole session
+ * @property {boolean} tenths - Show tenths of a second in the last seconds of a phase
+ */
+
+/**
+ * @typedef {Object} PhaseColors
+ * @property {string} work - Work color as #rrggbb, or "" for the theme's
+ * @property {string} rest - Rest color as #rrggbb, or "" for the theme's
+ * @property {string} prep - Get-ready countdown color as #rrggbb, or "" for the theme's
+ */
+
+/**
+ * @typedef {Object} AppearanceSettings
+ * @property {string} theme - Color theme, a key of COLOR_THEMES
+ * @property {PhaseColors} colors - Custom phase colors
+ */
+
+/**
+ * @typedef {Object} LanguageSettings
+ * @property {string} locale - Language of the app, a key of LOCALES, or "" to follow the browser
+ */
+
+/**
+ * @typedef {Object} PrepSettings
+ * @property {number} duration - Get-ready countdown before the workout, in seconds (0 for none)
+ * @property {boolean} beforeSets - Count down again before each set of a multi-set workout
+ * @property {boolean} beforeResume - Count down briefly before resuming from a pause
+ */
+
+/**
+ * @typedef {Object} Settings
+ * @property {AppearanceSettings} appearance - Color theme and phase colors
+ * @property {LanguageSettings} language - Language of the app
+ * @property {DisplaySettings} display - Extra information shown with the timer
+ * @property {PrepSettings} prep - Get-ready countdowns
+ * @property {SoundSettings} sound - Beeps and other sounds
+ * @property {VibrationSettings} vibration - Haptic feedback
+ * @property {VoiceSettings} voice - Spoken cues
+ */
+
+/** @type {Settings} */
+export const DEFAULT_SETTINGS = {
+  appearance: {
+    theme: "auto",
+    colors: {
+      work: "",
+      rest: "",
+      prep: "",
+    },
+  },
+  language: {
+    locale: "",
+  },
+  display: {
+    round: false,
+    totalElapsed: false,
+    totalRemaining: false,
+    progressBar: false,
+    tenths: false,
+  },
+  prep: {
+    duration: 3,
+    beforeSets: false,
+    beforeResume: false,
+  },
+  sound: {
+    muted: false,
+    theme: "beep",
+    volume: 1,
+    warningTicks: 3,
+  },
+  vibration: {
+    enabled: true,
+    warningPulses: 3,
+    patterns: {
+      workStart: [400],
+      restStart: [100, 100, 100],
+      warning: [50],
+      finish: FINISH_CONFIG.vibrationPattern,
+    },
+  },
+  voice: {
+    muted: false,
+    voiceURI: "",
+    lang: "",
+    rate: 1,
+    cues: {
+      phase: true,
+      round: true,
+      next: true,
+      halfway: true,
+      warning: true,
+    },
+  },
+};
+
+/**
+ * Load the preferences
+ * @returns {Settings} Saved preferences completed with the defaults
+ */
+export function loadSettings() {
+  return withDefaults(DEFAULT_SETTINGS, loadJSON(SETTINGS_KEY, {}));
+}
+
+/**
+ * Save the preferences
+ * @param {Settings} settings - Preferences to persist
+ */
+export function saveSettings(settings) {
+  saveJSON(SETTINGS_KEY, settings);
+}
+
+/**
+ * Merge saved values into a copy of the defaults
+ * Values of the wrong type are replaced with the default, arrays are replaced as a whole
+ * @param {Object} defaults - Default values
+ * @param {*} saved - Saved values
+ * @returns {Object} Merged copy
+ */
+function withDefaults(defaults, saved) {
+  const source = saved && typeof saved === "object" ? saved : {};
+
+  return Object.fromEntries(
+    Object.entries(defaults).map(([key, fallback]) => {
+      const value = source[key];
+      if (Array.isArray(fallback)) {
+        return [key, [...(Array.isArray(value) ? value : fallback)]];
+      }
+      if (typeof fallback === "object") {
+        return [key, withDefaults(fallback, value)];
+      }
+      return [key, typeof value === typeof fallback ? value : fallback];
+    }),
+  );
+}
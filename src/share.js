@@ -0,0 +1,102 @@
+/**
+ * Shareable workout links
+ *
+ * The workout config is stored as base64url-encoded JSON in the URL hash,
+ * e.g. https://example.com/#workout=eyJ2Ijox... The hash never reaches the
+ * server, and the page it opens is the one the service worker has cached.
+ */
+
+import { validateConfig } from "./program.js";
+import { t } from "./i18n.js";
+
+export const SHARE_PARAM = "workout";
+export const SHARE_VERSION = 1;
+
+/**
+ * @typedef {Object} SharedWorkout
+ * @property {Object|null} config - Validated config, or null if the link has none or is invalid
+ * @property {string|null} error - Why the link couldn't be loaded, or null
+ */
+
+/**
+ * Build a link that opens the app with the given workout
+ * @param {Object} config - Workout config
+ * @param {string} baseUrl - Page URL to link to (default: the current page)
+ * @returns {string} Link with the workout in the hash
+ */
+export function createShareLink(config, baseUrl = location.href) {
+  const url = new URL(baseUrl);
+  const params = new URLSearchParams({
+    [SHARE_PARAM]: encode({ v: SHARE_VERSION, ...config }),
+  });
+  url.hash = params.toString();
+  return url.toString();
+}
+
+/**
+ * Read the workout from a link's hash
+ * @param {string} hash - URL hash, with or without the leading "#"
+ * @returns {SharedWorkout} Config or error, both null if the hash has no workout
+ */
+export function readShareLink(hash) {
+  const encoded = new URLSearchParams(hash.replace(/^#/, "")).get(SHARE_PARAM);
+  if (encoded === null) return { config: null, error: null };
+
+  let data;
+  try {
+    data = decode(encoded);
+  } catch {
+    return { config: null, error: t("share.damaged") };
+  }
+
+  if (data?.v > SHARE_VERSION) {
+    return {
+      config: null,
+      error: t("share.newerVersion"),
+    };
+  }
+
+  const config = data?.v === SHARE_VERSION ? validateConfig(data) : null;
+  return config
+    ? { config, error: null }
+    : { config: null, error: t("share.invalid") };
+}
+
+/**
+ * Remove the workout from the address bar
+ * Later changes then survive a reload instead of being replaced by the link again
+ */
+export function clearShareLink() {
+  const url = new URL(location.href);
+  url.hash = "";
+  history.replaceState(history.state, "", url.pathname + url.search);
+}
+
+/**
+ * Encode a value as URL-safe base64 JSON
+ * Text is UTF-8 encoded first, so exercise names may use any characters
+ * @param {*} value - JSON-serializable value
+ * @returns {string} base64url text without padding
+ */
+function encode(value) {
+  const bytes = new TextEncoder().encode(JSON.stringify(value));
+  const binary = Array.from(bytes, (byte) => String.fromCharCode(byte)).join(
+    "",
+  );
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+/**
+ * Decode URL-safe base64 JSON
+ * @param {string} text - base64url text, with or without padding
+ * @returns {*} Decoded value
+ * @throws {Error} If the text isn't valid base64, UTF-8 or JSON
+ */
+function decode(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  return JSON.parse(new TextDecoder("utf-8", { fatal: true }).decode(bytes));
+}
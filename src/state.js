@@ -7,22 +7,40 @@ export const TimerStatus = {
   COUNTDOWN: "countdown",
   RUNNING: "running",
   PAUSED: "paused",
+  FINISHED: "finished",
 };
 
 /**
  * @typedef {Object} TimerState
  * @property {number} workTime - Work duration in milliseconds
  * @property {number} restTime - Rest duration in milliseconds
- * @property {number} startTime - Timestamp when current phase started (from performance.now())
- * @property {number} pausedTime - Time elapsed when paused (in milliseconds)
- * @property {number} totalTime - Total time for current phase in milliseconds
+ * @property {number} rounds - Number of work intervals per set
+ * @property {number} sets - Number of sets
+ * @property {number} setRestTime - Rest between sets in milliseconds
+ * @property {number} warmupTime - Warm-up duration in milliseconds (0 to skip)
+ * @property {number} cooldownTime - Cool-down duration in milliseconds (0 to skip)
+ * @property {import("./program.js").TimerMode} mode - Interval, countdown or stopwatch
+ * @property {number} countdownTime - Duration of the countdown mode in milliseconds
+ * @property {import("./program.js").Exercise[]} exercises - Exercises rotated through the rounds (empty for plain "Work")
+ * @property {import("./program.js").Program|null} program - Program built from the settings
+ * @property {import("./program.js").Step[]} steps - Flattened program steps
+ * @property {number[]} stepOffsets - Start of each step relative to the session start (in milliseconds)
+ * @property {number} stepIndex - Index of the current step in steps
+ * @property {Object<number, number>} adjustments - Time added to (negative: removed from) steps in this session, by step index, in milliseconds
+ * @property {number[]} extendedSteps - Indexes of the rests already extended in this session
+ * @property {number|null} epoch - Clock time the session started, null while idle
+ * @property {number} pausedTotal - Total time spent paused in this session (in milliseconds)
+ * @property {number|null} pausedAt - Clock time the current pause started, null while running
+ * @property {number} totalTime - Total time for current phase in milliseconds (Infinity for the stopwatch)
  * @property {TimerStatus} status - Current timer status
  * @property {boolean} isWorkPhase - Whether in work phase (true) or rest phase (false)
- * @property {boolean} isMuted - Whether sound is muted
- * @property {number} phaseCount - Number of completed phases
+ * @property {number} phaseCount - Number of completed work phases
+ * @property {number[]} laps - Session elapsed time at each lap of the stopwatch, in milliseconds
  * @property {number|null} animationFrameId - requestAnimationFrame ID for smooth animation
  * @property {AudioContext|null} audioContext - Web Audio API context
  * @property {number|null} countdownTimeoutId - Timeout ID for countdown
+ * @property {import("./history.js").SessionRecord|null} record - History record of the current session
+ * @property {import("./settings.js").Settings|null} settings - App preferences, loaded on startup
  */
 
 /**
@@ -32,16 +50,33 @@ export const TimerStatus = {
 const _state = {
   workTime: 30000, // 30 seconds in milliseconds
   restTime: 10000, // 10 seconds in milliseconds
-  startTime: 0,
-  pausedTime: 0,
+  rounds: 8,
+  sets: 1,
+  setRestTime: 60000, // 60 seconds in milliseconds
+  warmupTime: 0,
+  cooldownTime: 0,
+  mode: "interval",
+  countdownTime: 300000, // 5 minutes in milliseconds
+  exercises: [],
+  program: null,
+  steps: [],
+  stepOffsets: [],
+  stepIndex: 0,
+  adjustments: {},
+  extendedSteps: [],
+  epoch: null,
+  pausedTotal: 0,
+  pausedAt: null,
   totalTime: 30000, // 30 seconds in milliseconds
   status: TimerStatus.IDLE,
   isWorkPhase: true,
-  isMuted: false,
   phaseCount: 0,
+  laps: [],
   animationFrameId: null,
   audioContext: null,
   countdownTimeoutId: null,
+  record: null,
+  settings: null,
 };
 
 // Enable logging in development mode (set to false for production)
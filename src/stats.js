@@ -0,0 +1,116 @@
+/**
+ * History statistics
+ * Pure aggregations over history entries, grouped by local calendar day
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} WeekTotals
+ * @property {number} weekStart - Local midnight of the week's Monday (timestamp)
+ * @property {number} sessions - Number of sessions
+ * @property {number} workTime - Work time completed, in milliseconds
+ * @property {number} totalTime - Work and rest time completed, in milliseconds
+ * @property {number} phaseCount - Work phases completed
+ */
+
+/**
+ * @typedef {Object} DayGroup
+ * @property {number} day - Local midnight of the day (timestamp)
+ * @property {import("./history.js").HistoryEntry[]} entries - Entries of that day, newest first
+ */
+
+/**
+ * Get local midnight of the day containing a timestamp
+ * @param {number} timestamp - Wall-clock time
+ * @returns {number} Timestamp of local midnight
+ */
+export function startOfDay(timestamp) {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+/**
+ * Get local midnight of the Monday starting the week of a timestamp
+ * @param {number} timestamp - Wall-clock time
+ * @returns {number} Timestamp of the week start
+ */
+export function startOfWeek(timestamp) {
+  const date = new Date(startOfDay(timestamp));
+  const daysSinceMonday = (date.getDay() + 6) % 7;
+  date.setDate(date.getDate() - daysSinceMonday);
+  return date.getTime();
+}
+
+/**
+ * Sum up entries per week
+ * @param {import("./history.js").HistoryEntry[]} entries - History entries
+ * @returns {WeekTotals[]} Totals per week, newest first
+ */
+export function getWeeklyTotals(entries) {
+  const weeks = new Map();
+
+  for (const entry of entries) {
+    const weekStart = startOfWeek(entry.startedAt);
+    const week = weeks.get(weekStart) ?? {
+      weekStart,
+      sessions: 0,
+      workTime: 0,
+      totalTime: 0,
+      phaseCount: 0,
+    };
+
+    week.sessions++;
+    week.workTime += entry.workTime;
+    week.totalTime += entry.workTime + entry.restTime;
+    week.phaseCount += entry.phaseCount;
+    weeks.set(weekStart, week);
+  }
+
+  return [...weeks.values()].sort((a, b) => b.weekStart - a.weekStart);
+}
+
+/**
+ * Count consecutive days with at least one session
+ * The streak stays alive until a full day without a session has passed
+ * @param {import("./history.js").HistoryEntry[]} entries - History entries
+ * @param {number} now - Current wall-clock time
+ * @returns {number} Current streak in days
+ */
+export function getStreak(entries, now) {
+  const days = new Set(entries.map((entry) => startOfDay(entry.startedAt)));
+
+  // Start from today, or from yesterday if there was no session yet today
+  let day = startOfDay(now);
+  if (!days.has(day)) {
+    day = startOfDay(day - DAY_MS / 2);
+  }
+
+  let streak = 0;
+  while (days.has(day)) {
+    streak++;
+    // Step back half a day and snap to midnight to stay correct across DST changes
+    day = startOfDay(day - DAY_MS / 2);
+  }
+  return streak;
+}
+
+/**
+ * Group entries by local calendar day
+ * @param {import("./history.js").HistoryEntry[]} entries - History entries, newest first
+ * @returns {DayGroup[]} Days, newest first
+ */
+export function groupByDay(entries) {
+  const days = new Map();
+
+  for (const entry of entries) {
+    const day = startOfDay(entry.startedAt);
+    if (!days.has(day)) {
+      days.set(day, { day, entries: [] });
+    }
+    days.get(day).entries.push(entry);
+  }
+
+  return [...days.values()].sort((a, b) => b.day - a.day);
+}
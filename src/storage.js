@@ -0,0 +1,49 @@
+/**
+ * Persistent storage helpers using localStorage
+ * Values are stored as JSON under a common key prefix
+ */
+
+const KEY_PREFIX = "hiiting-time:";
+
+/**
+ * Read a JSON value from storage
+ * Falls back when storage is unavailable or the value is corrupt
+ *
+ * @param {string} key - Key without prefix
+ * @param {*} fallback - Value returned when nothing usable is stored
+ * @returns {*} Parsed value or fallback
+ */
+export function loadJSON(key, fallback) {
+  try {
+    const raw = localStorage.getItem(KEY_PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (err) {
+    console.error(`Error reading "${key}" from storage:`, err);
+    return fallback;
+  }
+}
+
+/**
+ * Write a JSON value to storage
+ * @param {string} key - Key without prefix
+ * @param {*} value - JSON-serializable value
+ */
+export function saveJSON(key, value) {
+  try {
+    localStorage.setItem(KEY_PREFIX + key, JSON.stringify(value));
+  } catch (err) {
+    console.error(`Error writing "${key}" to storage:`, err);
+  }
+}
+
+/**
+ * Remove a value from storage
+ * @param {string} key - Key without prefix
+ */
+export function remove(key) {
+  try {
+    localStorage.removeItem(KEY_PREFIX + key);
+  } catch (err) {
+    console.error(`Error removing "${key}" from storage:`, err);
+  }
+}
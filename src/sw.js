@@ -0,0 +1,128 @@
+/**
+ * Service worker for offline use
+ *
+ * Precaches the app shell into a versioned cache and serves it cache-first.
+ * Bump CACHE_VERSION on every deploy: the changed worker installs alongside
+ * the old one, the page offers to reload, and old caches are dropped on
+ * activation.
+ */
+
+const CACHE_VERSION = "v18";
+const CACHE_NAME = `hiiting-time-${CACHE_VERSION}`;
+
+/**
+ * App shell: everything needed to run offline
+ * Keep in sync with the modules imported by app.js
+ */
+const PRECACHE_URLS = [
+  "./",
+  "index.html",
+  "style.css",
+  "favicon.svg",
+  "manifest.webmanifest",
+  "icons/apple-touch-icon.png",
+  "icons/icon-192.png",
+  "icons/icon-512.png",
+  "icons/icon-maskable-512.png",
+  "locales/de.json",
+  "locales/en.json",
+  "announcer.js",
+  "app.js",
+  "audio.js",
+  "clock.js",
+  "config.js",
+  "display.js",
+  "events.js",
+  "history.js",
+  "i18n.js",
+  "mediasession.js",
+  "presets.js",
+  "program.js",
+  "progress.js",
+  "plugins.js",
+  "pwa.js",
+  "session.js",
+  "settings.js",
+  "share.js",
+  "state.js",
+  "stats.js",
+  "storage.js",
+  "sync.js",
+  "theme.js",
+  "ticker.js",
+  "ticker.worker.js",
+  "timer.js",
+  "transfer.js",
+  "ui.js",
+  "vibration.js",
+  "voice.js",
+  "wakelock.js",
+];
+
+self.addEventListener("install", (event) => {
+  // Bypass the HTTP cache so a new version never precaches stale files
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) =>
+        cache.addAll(
+          PRECACHE_URLS.map((url) => new Request(url, { cache: "reload" })),
+        ),
+      ),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter(
+              (key) => key.startsWith("hiiting-time-") && key !== CACHE_NAME,
+            )
+            .map((key) => caches.delete(key)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  // Navigations (including ones with query or hash) get the cached shell
+  if (request.mode === "navigate") {
+    event.respondWith(
+      caches
+        .match("index.html", { cacheName: CACHE_NAME })
+        .then((response) => response || fetch(request)),
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request, { cacheName: CACHE_NAME }).then(
+      (cached) =>
+        cached ||
+        fetch(request).then((response) => {
+          // Cache anything missing from the precache list on first use
+          if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+          }
+          return response;
+        }),
+    ),
+  );
+});
+
+// The page asks the waiting worker to take over once the user agrees to reload
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  }
+});
@@ -0,0 +1,172 @@
+/**
+ * Multi-tab sync for the gym display
+ *
+ * The tab running the timer (the leader) broadcasts its state over a
+ * BroadcastChannel. Display tabs (followers, opened with ?display) mirror it
+ * and send commands back. Every tab on the origin receives every message, so
+ * messages carry the sender's id and commands name the leader they are for.
+ */
+
+import { TimerStatus } from "./state.js";
+
+const CHANNEL_NAME = "hiiting-time";
+export const DISPLAY_PARAM = "display";
+
+/**
+ * Command a display can send to its leader
+ * @typedef {"toggle"|"reset"|"next"|"previous"} Command
+ */
+
+/**
+ * @typedef {Object} TimerSnapshot
+ * @property {import("./program.js").TimerMode} mode - Timer mode of the leader
+ * @property {TimerStatus} status - Timer status of the leader
+ * @property {import("./events.js").CountdownTickDetail|null} countdown - Seconds left and length of the countdown while counting down, otherwise null
+ * @property {import("./program.js").Step} step - Current step
+ * @property {import("./program.js").Step|null} nextStep - Following step, or null on the last step
+ * @property {number} elapsed - Elapsed time in the step, in milliseconds
+ * @property {number} totalTime - Duration of the step, in milliseconds
+ * @property {number} phaseCount - Completed work phases
+ * @property {number} workSteps - Work phases in the program
+ * @property {number} adjustment - Time added to (negative: removed from) the step, in milliseconds
+ * @property {number} sessionElapsed - Elapsed time in the session, in milliseconds
+ * @property {number} sessionDuration - Length of the session (Infinity for the stopwatch)
+ * @property {number} sentAt - Wall-clock time of the snapshot (Date.now(), shared by all tabs)
+ */
+
+const tabId = crypto.randomUUID?.() ?? String(Math.random()).slice(2);
+
+/** @type {BroadcastChannel|null} */
+let channel = null;
+
+// Leader followed by this display, null until one has been heard from
+let leaderId = null;
+
+// Whether the followed leader had a workout in progress at its last snapshot
+let isLeaderActive = false;
+
+/**
+ * Check if tabs can talk to each other
+ * @returns {boolean} True if BroadcastChannel is available
+ */
+export function isSyncSupported() {
+  return "BroadcastChannel" in window;
+}
+
+/**
+ * Check if this tab was opened as a gym display
+ * @param {string} search - URL query (default: the current page's)
+ * @returns {boolean} True for display-only tabs
+ */
+export function isDisplayMode(search = location.search) {
+  return new URLSearchParams(search).has(DISPLAY_PARAM);
+}
+
+/**
+ * Get the address of the gym display
+ * @param {string} baseUrl - Page URL (default: the current page)
+ * @returns {string} URL that opens the app as a display
+ */
+export function getDisplayUrl(baseUrl = location.href) {
+  const url = new URL(baseUrl);
+  url.search = DISPLAY_PARAM;
+  url.hash = "";
+  return url.toString();
+}
+
+/**
+ * Get the channel shared by all tabs, opening it on first use
+ * @returns {BroadcastChannel} Channel
+ */
+function getChannel() {
+  if (!channel) {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+  }
+  return channel;
+}
+
+/**
+ * Act as a leader: answer displays and run the commands sent to this tab
+ * @param {Object<Command, Function>} commands - Handlers by command
+ * @param {Function} onHello - Called when a display asks for the current state
+ */
+export function initLeader(commands, onHello) {
+  if (!isSyncSupported()) return;
+
+  getChannel().addEventListener("message", ({ data }) => {
+    if (data?.type === "hello") {
+      onHello();
+    } else if (data?.type === "command" && data.to === tabId) {
+      commands[data.command]?.();
+    }
+  });
+
+  // Let displays look for another leader when this tab closes
+  window.addEventListener("pagehide", () =>
+    getChannel().postMessage({ type: "bye", from: tabId }),
+  );
+}
+
+/**
+ * Send the leader's state to all displays
+ * @param {Omit<TimerSnapshot, "sentAt">} snapshot - Current state
+ */
+export function broadcastState(snapshot) {
+  if (!isSyncSupported()) return;
+
+  getChannel().postMessage({
+    type: "state",
+    from: tabId,
+    snapshot: { ...snapshot, sentAt: Date.now() },
+  });
+}
+
+/**
+ * Act as a display: follow a leader and receive its state
+ * The first leader heard from is followed. Another tab takes over when it
+ * has a workout in progress and the followed one doesn't.
+ *
+ * @param {Function} onState - Called with each TimerSnapshot of the followed leader
+ * @param {Function} onLeaderLost - Called when the followed leader closes
+ */
+export function initFollower(onState, onLeaderLost) {
+  if (!isSyncSupported()) return;
+
+  getChannel().addEventListener("message", ({ data }) => {
+    if (data?.type === "state") {
+      const { status } = data.snapshot;
+      const isActive =
+        status === TimerStatus.RUNNING ||
+        status === TimerStatus.PAUSED ||
+        status === TimerStatus.COUNTDOWN;
+      const shouldFollow =
+        leaderId === null ||
+        data.from === leaderId ||
+        (isActive && !isLeaderActive);
+      if (!shouldFollow) return;
+
+      leaderId = data.from;
+      isLeaderActive = isActive;
+      onState(data.snapshot);
+    } else if (data?.type === "bye" && data.from === leaderId) {
+      leaderId = null;
+      isLeaderActive = false;
+      onLeaderLost();
+      getChannel().postMessage({ type: "hello" });
+    }
+  });
+
+  getChannel().postMessage({ type: "hello" });
+}
+
+/**
+ * Send a command to the followed leader
+ * @param {Command} command - Command to run
+ * @returns {boolean} True if there is a leader to send it to
+ */
+export function sendCommand(command) {
+  if (leaderId === null) return false;
+
+  getChannel().postMessage({ type: "command", to: leaderId, command });
+  return true;
+}
@@ -0,0 +1,93 @@
+/**
+ * Color themes
+ * Themes are sets of CSS custom properties in style.css, picked with the
+ * data-theme attribute of the root element. Custom phase colors override the
+ * theme's, with black or white text on them, whichever contrasts more.
+ */
+
+import { COLOR_THEMES } from "./config.js";
+
+/** @type {Array<keyof import("./settings.js").PhaseColors>} */
+const PHASES = ["work", "rest", "prep"];
+
+// Relative luminance at which black and white text contrast equally
+const TEXT_LUMINANCE_THRESHOLD = 0.179;
+
+/**
+ * Apply the theme and follow system color scheme changes
+ * @param {import("./settings.js").AppearanceSettings} settings - Appearance settings
+ */
+export function initTheme(settings) {
+  applyTheme(settings);
+
+  // With the "auto" theme the browser bar follows the system as well
+  window
+    .matchMedia?.("(prefers-color-scheme: dark)")
+    .addEventListener("change", updateThemeColor);
+}
+
+/**
+ * Apply a theme and custom phase colors to the page
+ * @param {import("./settings.js").AppearanceSettings} settings - Appearance settings
+ */
+export function applyTheme(settings) {
+  const root = document.documentElement;
+  root.dataset.theme = settings.theme in COLOR_THEMES ? settings.theme : "auto";
+
+  for (const phase of PHASES) {
+    const color = settings.colors[phase];
+    if (color) {
+      root.style.setProperty(`--color-${phase}`, color);
+      root.style.setProperty(`--color-on-${phase}`, getTextColor(color));
+    } else {
+      root.style.removeProperty(`--color-${phase}`);
+      root.style.removeProperty(`--color-on-${phase}`);
+    }
+  }
+
+  updateThemeColor();
+}
+
+/**
+ * Get the phase colors currently in effect
+ * @returns {import("./settings.js").PhaseColors} Colors as #rrggbb
+ */
+export function getPhaseColors() {
+  const style = getComputedStyle(document.documentElement);
+  return Object.fromEntries(
+    PHASES.map((phase) => [
+      phase,
+      style.getPropertyValue(`--color-${phase}`).trim().toLowerCase(),
+    ]),
+  );
+}
+
+/**
+ * Pick the text color for a background
+ * @param {string} color - Background color as #rrggbb
+ * @returns {string} "#000000" or "#ffffff"
+ */
+export function getTextColor(color) {
+  const [r, g, b] = [1, 3, 5].map((start) => {
+    const channel = parseInt(color.slice(start, start + 2), 16) / 255;
+    // sRGB to linear light
+    return channel <= 0.04045
+      ? channel / 12.92
+      : ((channel + 0.055) / 1.055) ** 2.4;
+  });
+  const luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  return luminance > TEXT_LUMINANCE_THRESHOLD ? "#000000" : "#ffffff";
+}
+
+/**
+ * Match the browser bar to the page background
+ */
+function updateThemeColor() {
+  const meta = document.querySelector('meta[name="theme-color"]');
+  const background = getComputedStyle(document.documentElement)
+    .getPropertyValue("--color-bg")
+    .trim();
+  if (meta && background) {
+    meta.content = background;
+  }
+}
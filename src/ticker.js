@@ -0,0 +1,53 @@
+/**
+ * Background ticker
+ * Drives timer logic independently of rendering, using a worker when available
+ * and timers of the active clock otherwise
+ */
+
+import { setTimer, clearTimer } from "./clock.js";
+
+// Milliseconds between ticks, bounds how late a phase switch can be
+const TICK_INTERVAL = 250;
+
+/** @type {Worker|null} */
+let worker = null;
+let fallbackTimerId = null;
+
+/**
+ * Start ticking, replacing any previous tick callback
+ * @param {Function} onTick - Called on every tick
+ */
+export function startTicker(onTick) {
+  stopTicker();
+
+  if (typeof Worker === "undefined") {
+    // Schedule the next tick first, so onTick can stop the ticker
+    const run = () => {
+      fallbackTimerId = setTimer(run, TICK_INTERVAL);
+      onTick();
+    };
+    fallbackTimerId = setTimer(run, TICK_INTERVAL);
+    return;
+  }
+
+  if (!worker) {
+    worker = new Worker(new URL("./ticker.worker.js", import.meta.url));
+  }
+  worker.onmessage = onTick;
+  worker.postMessage({ type: "start", interval: TICK_INTERVAL });
+}
+
+/**
+ * Stop ticking
+ */
+export function stopTicker() {
+  if (worker) {
+    worker.postMessage({ type: "stop" });
+    worker.onmessage = null;
+  }
+
+  if (fallbackTimerId !== null) {
+    clearTimer(fallbackTimerId);
+    fallbackTimerId = null;
+  }
+}
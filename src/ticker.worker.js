@@ -0,0 +1,19 @@
+/**
+ * Ticker worker
+ *
+ * Posts "tick" at a fixed interval. Timers in a worker keep firing while the
+ * page is hidden or the screen is locked, when requestAnimationFrame stops.
+ */
+
+let intervalId = null;
+
+self.addEventListener("message", (event) => {
+  const { type, interval } = event.data;
+
+  clearInterval(intervalId);
+  intervalId = null;
+
+  if (type === "start") {
+    intervalId = setInterval(() => self.postMessage("tick"), interval);
+  }
+});
@@ -1,76 +1,374 @@
 /**
- * Pure timer logic functions
- * No DOM manipulation or side effects
+ * Timer logic
+ * No DOM manipulation: walks the flattened program steps held in the shared
+ * state and updates them
+ *
+ * Timing is drift-free: positions are derived from one session epoch, the
+ * cumulative step schedule and the total time spent paused, never from when
+ * a phase switch happened to be processed. Time, animation frames and
+ * timeouts come from the injectable clock in clock.js.
  */
 
 import { state, TimerStatus } from "./state.js";
+import {
+  now,
+  requestFrame,
+  cancelFrame,
+  setTimer,
+  clearTimer,
+} from "./clock.js";
+import { startTicker, stopTicker } from "./ticker.js";
+import {
+  buildProgram,
+  flattenProgram,
+  countWorkSteps,
+  CONFIG_FIELDS,
+  TimerMode,
+} from "./program.js";
+import { ADJUST_CONFIG } from "./config.js";
+
+// Ends the countdown's wait for its next number early, while it waits
+let endCountdownWait = null;
+
+/**
+ * Get the workout settings currently in state
+ * @returns {Object} Config with the CONFIG_FIELDS keys, the mode and the exercise list
+ */
+export function getConfig() {
+  return {
+    ...Object.fromEntries(
+      Object.keys(CONFIG_FIELDS).map((key) => [key, state[key]]),
+    ),
+    mode: state.mode,
+    exercises: state.exercises.map((exercise) => ({ ...exercise })),
+  };
+}
+
+/**
+ * Apply workout settings and rebuild the program
+ * Settings the config doesn't have (e.g. the countdown time in a built-in
+ * interval preset) keep their current value
+ * @param {Object} config - Validated config
+ */
+export function applyConfig(config) {
+  for (const key of Object.keys(CONFIG_FIELDS)) {
+    state[key] = config[key] ?? state[key];
+  }
+  state.mode = config.mode ?? TimerMode.INTERVAL;
+  state.exercises = (config.exercises ?? []).map((exercise) => ({
+    ...exercise,
+  }));
+  rebuildProgram();
+}
+
+/**
+ * Rebuild the program from the current settings
+ * Keeps the current position, clamped to the new program length
+ */
+export function rebuildProgram() {
+  const elapsed = state.steps.length > 0 ? getElapsed() : 0;
+
+  state.program = buildProgram(state);
+  state.steps = flattenProgram(state.program);
+  state.stepOffsets = computeOffsets();
+  seek(Math.min(state.stepIndex, state.steps.length - 1), elapsed);
+}
+
+/**
+ * Get how long a step lasts in this session
+ * @param {number} index - Index of the step
+ * @returns {number} Duration including any adjustment, in milliseconds
+ */
+export function getStepDuration(index) {
+  return state.steps[index].duration + (state.adjustments[index] ?? 0);
+}
+
+/**
+ * Compute when each step starts, relative to the start of the session
+ * @returns {number[]} Cumulative start offsets in milliseconds
+ */
+function computeOffsets() {
+  let offset = 0;
+  return state.steps.map((step, index) => {
+    const start = offset;
+    offset += getStepDuration(index);
+    return start;
+  });
+}
+
+/**
+ * Move the session to a position in the schedule
+ * Shifts the epoch, so later boundaries stay exact (no-op before the session starts)
+ * @param {number} index - Step to move to
+ * @param {number} elapsed - Elapsed time within that step, in milliseconds
+ */
+function seek(index, elapsed) {
+  enterStep(index);
+  if (state.epoch === null) return;
+
+  const sessionElapsed = state.stepOffsets[index] + elapsed;
+  state.epoch = (state.pausedAt ?? now()) - state.pausedTotal - sessionElapsed;
+}
+
+/**
+ * Calculate elapsed time since the session started, excluding pauses
+ * @returns {number} Session elapsed time in milliseconds
+ */
+export function getSessionElapsed() {
+  if (state.epoch === null) return 0;
+  return (state.pausedAt ?? now()) - state.epoch - state.pausedTotal;
+}
+
+/**
+ * Get the length of the whole session, including adjustments
+ * @returns {number} Duration in milliseconds (Infinity for the stopwatch)
+ */
+export function getSessionDuration() {
+  const last = state.steps.length - 1;
+  return state.stepOffsets[last] + getStepDuration(last);
+}
+
+/**
+ * Get the step currently being played
+ * @returns {import("./program.js").Step} Current step
+ */
+export function getCurrentStep() {
+  return state.steps[state.stepIndex];
+}
+
+/**
+ * Get the step that follows the current one
+ * @returns {import("./program.js").Step|null} Next step, or null on the last step
+ */
+export function getNextStep() {
+  return state.steps[state.stepIndex + 1] ?? null;
+}
+
+/**
+ * Load a step into the phase state
+ * @param {number} index - Index of the step to load
+ */
+function enterStep(index) {
+  const step = state.steps[index];
+  state.stepIndex = index;
+  state.isWorkPhase = step.isWork;
+  state.totalTime = getStepDuration(index);
+}
+
+/**
+ * Count the current step if it is a work interval
+ */
+function completeStep() {
+  if (getCurrentStep().isWork) {
+    state.phaseCount++;
+  }
+}
 
 /**
  * Start the timer
- * Sets running state and calculates start time for resume functionality
+ * Sets the session epoch when starting fresh, or adds the pause to the paused total when resuming
  */
 export function start() {
+  const time = now();
+
+  if (state.epoch === null) {
+    state.epoch = time;
+    state.pausedTotal = 0;
+  } else if (state.pausedAt !== null) {
+    state.pausedTotal += time - state.pausedAt;
+  }
+
+  state.pausedAt = null;
   state.status = TimerStatus.RUNNING;
-  state.startTime = performance.now() - state.pausedTime;
 }
 
 /**
  * Pause the timer
- * Cancels animation frame and preserves elapsed time
+ * Cancels animation frame and background ticker, and freezes elapsed time
  */
 export function pause() {
   state.status = TimerStatus.PAUSED;
+  state.pausedAt = now();
+  stopTicker();
 
   if (state.animationFrameId !== null) {
-    cancelAnimationFrame(state.animationFrameId);
+    cancelFrame(state.animationFrameId);
     state.animationFrameId = null;
   }
 }
 
 /**
- * Reset timer to initial work phase state
+ * Reset timer to the first step of the program
  */
 export function reset() {
+  stopTicker();
+
   // Cancel any ongoing countdown
-  if (state.countdownTimeoutId !== null) {
-    clearTimeout(state.countdownTimeoutId);
-    state.countdownTimeoutId = null;
-  }
+  stopCountdownWait();
 
   if (state.animationFrameId !== null) {
-    cancelAnimationFrame(state.animationFrameId);
+    cancelFrame(state.animationFrameId);
     state.animationFrameId = null;
   }
 
   state.status = TimerStatus.IDLE;
-  state.isWorkPhase = true;
-  state.pausedTime = 0;
-  state.totalTime = state.workTime;
+  state.epoch = null;
+  state.pausedTotal = 0;
+  state.pausedAt = null;
   state.phaseCount = 0;
+  state.laps = [];
+  state.adjustments = {};
+  state.extendedSteps = [];
+  state.stepOffsets = computeOffsets();
+  enterStep(0);
+}
+
+/**
+ * Restore a saved session as paused
+ * @param {Object} config - Workout config of the session
+ * @param {number} stepIndex - Step to resume in
+ * @param {number} elapsed - Elapsed time in that step, in milliseconds
+ * @param {number} phaseCount - Completed work phases
+ * @param {Object<number, number>} [adjustments] - Time added to or removed from steps
+ * @param {number[]} [extendedSteps] - Rests already extended
+ * @param {number[]} [laps] - Stopwatch laps
+ */
+export function restore(
+  config,
+  stepIndex,
+  elapsed,
+  phaseCount,
+  adjustments = {},
+  extendedSteps = [],
+  laps = [],
+) {
+  reset();
+  state.adjustments = { ...adjustments };
+  state.extendedSteps = [...extendedSteps];
+  state.laps = [...laps];
+  applyConfig(config);
+
+  state.status = TimerStatus.PAUSED;
+  state.epoch = now();
+  state.pausedAt = state.epoch;
+  const index = Math.min(Math.max(0, stepIndex), state.steps.length - 1);
+  seek(index, Math.min(elapsed, getStepDuration(index)));
+  state.phaseCount = phaseCount;
 }
 
 /**
- * Switch between work and rest phases
- * Increments phase counter and resets timing
+ * Advance to the next step of the program
+ * Increments phase counter when a work phase ends
+ * The next step starts exactly at the scheduled boundary, so any lateness
+ * in processing the switch carries over instead of adding drift
  */
 export function switchPhase() {
-  state.isWorkPhase = !state.isWorkPhase;
-  state.pausedTime = 0;
-  state.startTime = performance.now();
-  state.totalTime = state.isWorkPhase ? state.workTime : state.restTime;
+  completeStep();
+  enterStep(state.stepIndex + 1);
+}
 
-  // Increment phase count when ENDING a work phase (starting rest)
-  if (!state.isWorkPhase) {
-    state.phaseCount++;
+/**
+ * Jump to the start of another step (skip forward or go back)
+ * Work steps before the target count as completed, as if played through
+ * @param {number} index - Step to jump to, clamped to the program
+ */
+export function jumpToStep(index) {
+  const target = Math.min(Math.max(0, index), state.steps.length - 1);
+  state.phaseCount = countWorkSteps(state.steps.slice(0, target));
+  seek(target, 0);
+}
+
+/**
+ * Add time to or remove time from the current phase
+ * The elapsed time is kept; removing time never ends the phase sooner than
+ * ADJUST_CONFIG.minRemaining from now. Open-ended phases (the stopwatch)
+ * can't be adjusted.
+ * @param {number} amount - Milliseconds to add (negative to remove)
+ * @returns {number} Milliseconds actually added or removed
+ */
+export function adjustTime(amount) {
+  if (!Number.isFinite(state.totalTime)) return 0;
+
+  const index = state.stepIndex;
+  const elapsed = getElapsed();
+  const minimum = Math.max(0, elapsed) + ADJUST_CONFIG.minRemaining;
+  const duration = Math.max(getStepDuration(index) + amount, minimum);
+  const applied = duration - getStepDuration(index);
+  if (applied === 0) return 0;
+
+  state.adjustments = {
+    ...state.adjustments,
+    [index]: (state.adjustments[index] ?? 0) + applied,
+  };
+  state.stepOffsets = computeOffsets();
+  seek(index, elapsed);
+  return applied;
+}
+
+/**
+ * Check if the current phase is a rest that can still be extended
+ * @returns {boolean} True for a rest that hasn't been extended yet
+ */
+export function canExtendRest() {
+  return !state.isWorkPhase && !state.extendedSteps.includes(state.stepIndex);
+}
+
+/**
+ * Extend the current rest by ADJUST_CONFIG.restExtension, once per rest
+ * @returns {boolean} True if the rest was extended
+ */
+export function extendRest() {
+  if (!canExtendRest()) return false;
+
+  state.extendedSteps = [...state.extendedSteps, state.stepIndex];
+  adjustTime(ADJUST_CONFIG.restExtension);
+  return true;
+}
+
+/**
+ * Record a stopwatch lap at the current time
+ * @returns {number} Duration of the lap, in milliseconds
+ */
+export function addLap() {
+  const time = getSessionElapsed();
+  const duration = time - (state.laps.at(-1) ?? 0);
+  state.laps = [...state.laps, time];
+  return duration;
+}
+
+/**
+ * Check if the current step is the last one of the program
+ * Programs never end on a rest between rounds, so its end finishes the workout
+ * @returns {boolean} True if completing this step finishes the workout
+ */
+export function isLastStep() {
+  return state.stepIndex >= state.steps.length - 1;
+}
+
+/**
+ * Finish the workout
+ * Counts the final step and stops the animation loop
+ */
+export function finish() {
+  stopTicker();
+
+  if (state.animationFrameId !== null) {
+    cancelFrame(state.animationFrameId);
+    state.animationFrameId = null;
   }
+
+  completeStep();
+  state.status = TimerStatus.FINISHED;
+  state.pausedAt = now();
 }
 
 /**
  * Calculate elapsed time in current phase
+ * Derived from the session elapsed time and the step's scheduled start
  * @returns {number} Elapsed time in milliseconds
  */
 export function getElapsed() {
-  return performance.now() - state.startTime;
+  return getSessionElapsed() - state.stepOffsets[state.stepIndex];
 }
 
 /**
@@ -83,21 +381,15 @@ export function isPhaseComplete(elapsed) {
 }
 
 /**
- * Toggle mute state
- */
-export function toggleMute() {
-  state.isMuted = !state.isMuted;
-}
-
-/**
- * Run countdown before starting timer
- * @param {Function} onTick - Callback for each countdown tick (3, 2, 1)
+ * Run the get-ready countdown before starting or continuing the timer
+ * @param {number} seconds - Length of the countdown
+ * @param {Function} [onTick] - Callback with the seconds left at each tick (seconds, ..., 2, 1)
  * @returns {Promise<boolean>} Resolves to true when countdown completes, false if cancelled
  */
-export async function countdown(onTick) {
+export async function countdown(seconds, onTick) {
   state.status = TimerStatus.COUNTDOWN;
 
-  for (let i = 3; i >= 1; i--) {
+  for (let count = seconds; count >= 1; count--) {
     // Check if countdown was cancelled
     if (state.status !== TimerStatus.COUNTDOWN) {
       return false;
@@ -105,58 +397,116 @@ export async function countdown(onTick) {
 
     // Call tick callback with current count
     if (onTick) {
-      onTick(i);
+      onTick(count);
     }
 
     // Wait 1 second
     await new Promise((resolve) => {
-      state.countdownTimeoutId = setTimeout(resolve, 1000);
+      endCountdownWait = resolve;
+      state.countdownTimeoutId = setTimer(resolve, 1000);
     });
   }
 
   state.countdownTimeoutId = null;
-  return true;
+  endCountdownWait = null;
+  return state.status === TimerStatus.COUNTDOWN;
 }
 
 /**
- * Cancel ongoing countdown
+ * Stop the countdown's wait for its next number
+ * A cancelled countdown then resolves to false instead of hanging
  */
-export function cancelCountdown() {
+function stopCountdownWait() {
   if (state.countdownTimeoutId !== null) {
-    clearTimeout(state.countdownTimeoutId);
+    clearTimer(state.countdownTimeoutId);
     state.countdownTimeoutId = null;
   }
+  endCountdownWait?.();
+  endCountdownWait = null;
+}
+
+/**
+ * Cancel ongoing countdown
+ * Goes back to idle before the workout, and stays paused during it
+ */
+export function cancelCountdown() {
+  stopCountdownWait();
   if (state.status === TimerStatus.COUNTDOWN) {
-    state.status = TimerStatus.IDLE;
+    state.status = state.epoch === null ? TimerStatus.IDLE : TimerStatus.PAUSED;
+  }
+}
+
+/**
+ * Check if a get-ready countdown holds the session before a step
+ * With the prep before sets enabled, that is every set of a multi-set
+ * workout that doesn't start it (the first set after a warm-up too)
+ * @param {number} index - Index of the step
+ * @returns {boolean} True if the step starts after a get-ready countdown
+ */
+export function hasPrepBefore(index) {
+  const { duration, beforeSets } = state.settings.prep;
+  const isMultiSet = state.mode === TimerMode.INTERVAL && state.sets > 1;
+  if (!beforeSets || duration === 0 || !isMultiSet || index <= 0) return false;
+
+  const set = state.steps[index]?.repetitions[0];
+  return !!set && set.index !== state.steps[index - 1].repetitions[0]?.index;
+}
+
+/**
+ * Pause at the start of the current step, to hold it for a countdown
+ * The step keeps its full length even when the switch was processed late
+ */
+export function holdAtStepStart() {
+  pause();
+  seek(state.stepIndex, 0);
+}
+
+/**
+ * Process every phase boundary passed since the last check
+ * Several boundaries missed while the page was hidden are caught up one by one
+ * Exposed so the timing logic can be driven directly with a manual clock
+ * @param {Function} onPhaseComplete - Called once per completed phase
+ */
+export function tick(onPhaseComplete) {
+  while (
+    state.status === TimerStatus.RUNNING &&
+    isPhaseComplete(getElapsed())
+  ) {
+    onPhaseComplete();
   }
 }
 
 /**
  * Start animation loop with callbacks
+ * Rendering runs on requestAnimationFrame, which stops while the page is
+ * hidden. Phase transitions are also driven by a background ticker so they
+ * happen on time when nothing is painting.
+ *
  * @param {Function} onUpdate - Called each frame with (elapsed, totalTime)
- * @param {Function} onPhaseComplete - Called when phase completes
+ * @param {Function} onPhaseComplete - Called when a phase completes, may finish the workout
+ * @param {Function} [onTick] - Called on every background tick with (elapsed, totalTime), also while hidden
  */
-export function startAnimationLoop(onUpdate, onPhaseComplete) {
+export function startAnimationLoop(onUpdate, onPhaseComplete, onTick) {
   function animate() {
-    if (state.status !== TimerStatus.RUNNING) return;
-
-    const elapsed = getElapsed();
+    tick(onPhaseComplete);
 
-    // Check if phase is complete
-    if (isPhaseComplete(elapsed)) {
-      state.pausedTime = elapsed;
-      if (onPhaseComplete) {
-        onPhaseComplete();
-      }
-    }
+    // Stop here if a phase completion finished the workout
+    if (state.status !== TimerStatus.RUNNING) return;
 
     if (onUpdate) {
-      onUpdate(elapsed, state.totalTime);
+      onUpdate(getElapsed(), state.totalTime);
     }
 
     // Schedule next frame
-    state.animationFrameId = requestAnimationFrame(animate);
+    state.animationFrameId = requestFrame(animate);
   }
 
+  startTicker(() => {
+    tick(onPhaseComplete);
+
+    if (onTick && state.status === TimerStatus.RUNNING) {
+      onTick(getElapsed(), state.totalTime);
+    }
+  });
   animate();
 }
@@ -0,0 +1,306 @@
+/**
+ * Data export and import
+ *
+ * Exports the current config, user presets and history as versioned JSON,
+ * and sessions or the config as CSV for spreadsheets. Imports validate the
+ * JSON schema and report conflicts with existing data before anything is saved.
+ */
+
+import {
+  validateConfig,
+  isSameConfig,
+  CONFIG_FIELDS,
+  TimerMode,
+} from "./program.js";
+import { isSameName } from "./presets.js";
+import { t } from "./i18n.js";
+
+export const EXPORT_FORMAT = "hiiting-time";
+export const EXPORT_VERSION = 1;
+
+/**
+ * @typedef {Object} ExportData
+ * @property {string} format - Always EXPORT_FORMAT
+ * @property {number} version - Schema version
+ * @property {string} exportedAt - ISO 8601 export time
+ * @property {Object|null} config - Current workout config
+ * @property {Array<{name: string, config: Object}>} presets - User presets
+ * @property {Array<Omit<import("./history.js").HistoryEntry, "id">>} sessions - History entries
+ */
+
+/**
+ * @typedef {Object} ImportPlan
+ * @property {ExportData} data - Validated import data
+ * @property {string[]} conflictingPresets - Names of user presets that exist with different settings
+ * @property {string[]} templatePresets - Names of presets named like a built-in template, not imported
+ * @property {Array<{name: string, config: Object}>} newPresets - Presets that don't exist yet
+ * @property {Array<Object>} newSessions - Sessions not yet in the history
+ * @property {number} duplicateSessions - Sessions already in the history
+ */
+
+/**
+ * Build the JSON export
+ * @param {Object} config - Current workout config
+ * @param {import("./presets.js").Preset[]} presets - User presets
+ * @param {import("./history.js").HistoryEntry[]} entries - History entries
+ * @returns {ExportData} Export data
+ */
+export function createExport(config, presets, entries) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    config,
+    presets: presets.map(({ name, config }) => ({ name, config })),
+    sessions: entries.map(({ id, ...entry }) => entry),
+  };
+}
+
+/**
+ * Convert history entries to CSV, one row per session
+ * @param {import("./history.js").HistoryEntry[]} entries - History entries
+ * @returns {string} CSV text with header row
+ */
+export function sessionsToCSV(entries) {
+  const header = [
+    "started_at",
+    "ended_at",
+    "completed",
+    "phases_completed",
+    "work_time_s",
+    "rest_time_s",
+    "pause_count",
+    "pause_duration_s",
+    ...configColumns(),
+  ];
+
+  const rows = entries.map((entry) => [
+    new Date(entry.startedAt).toISOString(),
+    new Date(entry.endedAt).toISOString(),
+    entry.completed,
+    entry.phaseCount,
+    toSeconds(entry.workTime),
+    toSeconds(entry.restTime),
+    entry.pauseCount,
+    toSeconds(entry.pauseDuration),
+    ...configValues(entry.config),
+  ]);
+
+  return toCSV([header, ...rows]);
+}
+
+/**
+ * Convert a workout config to a single-row CSV
+ * @param {Object} config - Workout config
+ * @returns {string} CSV text with header row
+ */
+export function configToCSV(config) {
+  return toCSV([configColumns(), configValues(config)]);
+}
+
+/**
+ * Parse and validate a JSON export
+ * @param {string} text - File contents
+ * @returns {{data: ExportData|null, errors: string[]}} Data, or the problems found
+ */
+export function parseImport(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    return { data: null, errors: [t("transfer.invalidJson")] };
+  }
+
+  if (!raw || raw.format !== EXPORT_FORMAT) {
+    return { data: null, errors: [t("transfer.notExport")] };
+  }
+  if (raw.version !== EXPORT_VERSION) {
+    return {
+      data: null,
+      errors: [t("transfer.unsupportedVersion", { version: raw.version })],
+    };
+  }
+
+  const errors = [];
+  const config = raw.config == null ? null : validateConfig(raw.config);
+  if (raw.config != null && !config) {
+    errors.push(t("transfer.invalidConfig"));
+  }
+
+  const presets = validateList(raw.presets, "preset", errors, (preset) => {
+    const presetConfig = validateConfig(preset?.config);
+    const name = typeof preset?.name === "string" ? preset.name.trim() : "";
+    return presetConfig && name ? { name, config: presetConfig } : null;
+  });
+
+  const sessions = validateList(raw.sessions, "session", errors, (session) =>
+    validateSession(session),
+  );
+
+  if (errors.length > 0) return { data: null, errors };
+
+  return {
+    data: {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: raw.exportedAt,
+      config,
+      presets,
+      sessions,
+    },
+    errors,
+  };
+}
+
+/**
+ * Compare validated import data with the existing data
+ * Presets are matched by name ignoring case, like the built-in names are
+ * reserved, and sessions by start time
+ *
+ * @param {ExportData} data - Validated import data
+ * @param {import("./presets.js").Preset[]} presets - Existing presets (built-in and user)
+ * @param {import("./history.js").HistoryEntry[]} entries - Existing history entries
+ * @returns {ImportPlan} What would be added and what conflicts
+ */
+export function planImport(data, presets, entries) {
+  const conflictingPresets = [];
+  const templatePresets = [];
+  const newPresets = [];
+
+  for (const preset of data.presets) {
+    const existing = presets.find((candidate) =>
+      isSameName(candidate.name, preset.name),
+    );
+
+    if (!existing) {
+      newPresets.push(preset);
+    } else if (existing.builtIn) {
+      templatePresets.push(preset.name);
+    } else if (!isSameConfig(existing.config, preset.config)) {
+      conflictingPresets.push(preset.name);
+    }
+  }
+
+  const startTimes = new Set(entries.map((entry) => entry.startedAt));
+  const newSessions = data.sessions.filter(
+    (session) => !startTimes.has(session.startedAt),
+  );
+
+  return {
+    data,
+    conflictingPresets,
+    templatePresets,
+    newPresets,
+    newSessions,
+    duplicateSessions: data.sessions.length - newSessions.length,
+  };
+}
+
+/**
+ * Validate the items of an optional list
+ * @param {*} list - Candidate list (missing counts as empty)
+ * @param {"preset"|"session"} label - Item type, picks the error messages
+ * @param {string[]} errors - Error output
+ * @param {Function} validateItem - Returns the valid item or null
+ * @returns {Array} Valid items
+ */
+function validateList(list, label, errors, validateItem) {
+  if (list == null) return [];
+  if (!Array.isArray(list)) {
+    errors.push(t(`transfer.${label}ListInvalid`));
+    return [];
+  }
+
+  return list.flatMap((item, index) => {
+    const valid = validateItem(item);
+    if (!valid) {
+      errors.push(t(`transfer.${label}Invalid`, { position: index + 1 }));
+      return [];
+    }
+    return [valid];
+  });
+}
+
+/**
+ * Validate one exported session
+ * @param {*} session - Candidate session
+ * @returns {Object|null} Session without id, or null if invalid
+ */
+function validateSession(session) {
+  if (!session || typeof session !== "object") return null;
+
+  const config = validateConfig(session.config);
+  const isTimestamp = (value) => Number.isInteger(value) && value > 0;
+  const isAmount = (value) => Number.isFinite(value) && value >= 0;
+
+  const isValid =
+    config &&
+    isTimestamp(session.startedAt) &&
+    isTimestamp(session.endedAt) &&
+    ["workTime", "restTime", "pauseCount", "pauseDuration", "phaseCount"].every(
+      (key) => isAmount(session[key]),
+    ) &&
+    typeof session.completed === "boolean";
+  if (!isValid) return null;
+
+  return {
+    startedAt: session.startedAt,
+    endedAt: session.endedAt,
+    config,
+    workTime: session.workTime,
+    restTime: session.restTime,
+    pauseCount: session.pauseCount,
+    pauseDuration: session.pauseDuration,
+    phaseCount: session.phaseCount,
+    completed: session.completed,
+  };
+}
+
+/**
+ * CSV column names for the mode and the config fields, with their edit unit
+ * @returns {string[]} Column names (e.g. "mode", "workTime_s", "rounds")
+ */
+function configColumns() {
+  return [
+    "mode",
+    ...Object.entries(CONFIG_FIELDS).map(([key, { unit }]) =>
+      unit === 1000 ? `${key}_s` : key,
+    ),
+  ];
+}
+
+/**
+ * CSV values for the mode and the config fields, in edit units
+ * @param {Object} config - Workout config
+ * @returns {Array<string|number>} Values in column order
+ */
+function configValues(config) {
+  return [
+    config.mode ?? TimerMode.INTERVAL,
+    ...Object.entries(CONFIG_FIELDS).map(
+      ([key, field]) => (config[key] ?? field.default) / field.unit,
+    ),
+  ];
+}
+
+/**
+ * Convert milliseconds to seconds with one decimal
+ * @param {number} ms - Duration in milliseconds
+ * @returns {number} Duration in seconds
+ */
+function toSeconds(ms) {
+  return Math.round(ms / 100) / 10;
+}
+
+/**
+ * Serialize rows as CSV (RFC 4180 quoting)
+ * @param {Array<Array<*>>} rows - Rows of cell values
+ * @returns {string} CSV text
+ */
+function toCSV(rows) {
+  const escape = (value) => {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+  };
+  return rows.map((row) => row.map(escape).join(",")).join("\r\n") + "\r\n";
+}
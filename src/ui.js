@@ -2,6 +2,34 @@
  * UI functions for DOM manipulation and display updates
  */
 
+import {
+  describeRepetitions,
+  describeConfig,
+  CONFIG_FIELDS,
+  EXERCISE_LIMITS,
+  TimerMode,
+} from "./program.js";
+import {
+  t,
+  plural,
+  getLocale,
+  getDecimalSeparator,
+  formatNumber,
+} from "./i18n.js";
+import { on, TimerEvent } from "./events.js";
+
+// The stopwatch arc fills once per this period, in milliseconds
+const STOPWATCH_ARC_PERIOD = 60000;
+
+// Tenths of a second are shown when less than this is left, in milliseconds
+const TENTHS_THRESHOLD = 10000;
+
+// Whether to show tenths of a second in the last seconds of a phase
+let showTenths = false;
+
+// With reduced motion the arc moves once per second instead of every frame
+const reducedMotion = window.matchMedia?.("(prefers-reduced-motion: reduce)");
+
 /**
  * DOM element references
  */
@@ -12,16 +40,125 @@ export const elements = {
   progressPath: document.getElementById("progressPath"),
   timeText: document.getElementById("timeText"),
   timeTextInverted: document.getElementById("timeTextInverted"),
+  timerArc: document.getElementById("timerArc"),
+  liveRegion: document.getElementById("liveRegion"),
   startStopBtn: document.getElementById("startStop"),
   resetBtn: document.getElementById("reset"),
+  lapBtn: document.getElementById("lap"),
+  lapList: document.getElementById("lapList"),
+  modeInputs: document.querySelectorAll('input[name="mode"]'),
+  countdownTimeInput: document.getElementById("countdownTime"),
   muteBtn: document.getElementById("mute"),
+  voiceMuteBtn: document.getElementById("voiceMute"),
   fullscreenBtn: document.getElementById("fullscreen"),
+  openDisplayBtn: document.getElementById("openDisplay"),
+  skipBackBtn: document.getElementById("skipBack"),
+  removeTimeBtn: document.getElementById("removeTime"),
+  addTimeBtn: document.getElementById("addTime"),
+  extendRestBtn: document.getElementById("extendRest"),
+  skipForwardBtn: document.getElementById("skipForward"),
   workTimeInput: document.getElementById("workTime"),
   restTimeInput: document.getElementById("restTime"),
+  roundsInput: document.getElementById("rounds"),
+  setsInput: document.getElementById("sets"),
+  setRestTimeInput: document.getElementById("setRestTime"),
+  warmupTimeInput: document.getElementById("warmupTime"),
+  cooldownTimeInput: document.getElementById("cooldownTime"),
+  exerciseList: document.getElementById("exerciseList"),
+  addExerciseBtn: document.getElementById("addExercise"),
+  presetSelect: document.getElementById("presetSelect"),
+  presetNameInput: document.getElementById("presetName"),
+  savePresetBtn: document.getElementById("savePreset"),
+  deletePresetBtn: document.getElementById("deletePreset"),
+  copyLinkBtn: document.getElementById("copyLink"),
+  updateBanner: document.getElementById("updateBanner"),
+  applyUpdateBtn: document.getElementById("applyUpdate"),
+  dismissUpdateBtn: document.getElementById("dismissUpdate"),
+  resumeBanner: document.getElementById("resumeBanner"),
+  resumeText: document.getElementById("resumeText"),
+  resumeSessionBtn: document.getElementById("resumeSession"),
+  discardSessionBtn: document.getElementById("discardSession"),
+  noticeBanner: document.getElementById("noticeBanner"),
+  noticeText: document.getElementById("noticeText"),
+  dismissNoticeBtn: document.getElementById("dismissNotice"),
+  showHistoryBtn: document.getElementById("showHistory"),
+  historyDialog: document.getElementById("historyDialog"),
+  closeHistoryBtn: document.getElementById("closeHistory"),
+  historyStreak: document.getElementById("historyStreak"),
+  historyWeeks: document.getElementById("historyWeeks"),
+  historyDays: document.getElementById("historyDays"),
+  exportJsonBtn: document.getElementById("exportJson"),
+  exportSessionsCsvBtn: document.getElementById("exportSessionsCsv"),
+  exportConfigCsvBtn: document.getElementById("exportConfigCsv"),
+  importJsonBtn: document.getElementById("importJson"),
+  importFileInput: document.getElementById("importFile"),
+  transferReport: document.getElementById("transferReport"),
+  showSettingsBtn: document.getElementById("showSettings"),
+  settingsDialog: document.getElementById("settingsDialog"),
+  closeSettingsBtn: document.getElementById("closeSettings"),
+  soundEnabledInput: document.getElementById("soundEnabled"),
+  soundThemeSelect: document.getElementById("soundTheme"),
+  soundVolumeInput: document.getElementById("soundVolume"),
+  soundVolumeValue: document.getElementById("soundVolumeValue"),
+  warningTicksInput: document.getElementById("warningTicks"),
+  testSoundBtn: document.getElementById("testSound"),
+  vibrationUnsupported: document.getElementById("vibrationUnsupported"),
+  vibrationOptions: document.getElementById("vibrationOptions"),
+  vibrationEnabledInput: document.getElementById("vibrationEnabled"),
+  warningPulsesInput: document.getElementById("warningPulses"),
+  vibrationPatterns: document.getElementById("vibrationPatterns"),
+  vibrationPatternInputs: document.querySelectorAll("[data-vibration-event]"),
+  resetVibrationBtn: document.getElementById("resetVibration"),
+  voiceUnsupported: document.getElementById("voiceUnsupported"),
+  voiceCueInputs: document.querySelectorAll("[data-voice-cue]"),
+  voiceLangSelect: document.getElementById("voiceLang"),
+  voiceSelect: document.getElementById("voiceSelect"),
+  voiceRateInput: document.getElementById("voiceRate"),
+  voiceRateValue: document.getElementById("voiceRateValue"),
+  testVoiceBtn: document.getElementById("testVoice"),
   phaseCountDisplay: document.getElementById("phaseCount"),
   phaseTextDisplay: document.getElementById("phaseText"),
+  phaseNoteDisplay: document.getElementById("phaseNote"),
+  phaseAdjustmentDisplay: document.getElementById("phaseAdjustment"),
+  phaseContextDisplay: document.getElementById("phaseContext"),
+  nextPhaseDisplay: document.getElementById("nextPhase"),
+  roundInfoDisplay: document.getElementById("roundInfo"),
+  totalElapsedDisplay: document.getElementById("totalElapsed"),
+  totalRemainingDisplay: document.getElementById("totalRemaining"),
+  sessionProgress: document.getElementById("sessionProgress"),
+  displayOptionInputs: document.querySelectorAll("[data-display-option]"),
+  prepDurationInput: document.getElementById("prepDuration"),
+  prepOptionInputs: document.querySelectorAll("[data-prep-option]"),
+  colorThemeSelect: document.getElementById("colorTheme"),
+  languageSelect: document.getElementById("language"),
+  phaseColorInputs: document.querySelectorAll("[data-phase-color]"),
+  resetColorsBtn: document.getElementById("resetColors"),
 };
 
+/**
+ * Format a duration as MM:SS, or H:MM:SS from one hour on
+ * @param {number} ms - Duration in milliseconds
+ * @param {boolean} withTenths - Add tenths of a second, e.g. "00:09.4" (default: false)
+ * @returns {string} Zero-padded string, rounded up to the second (or tenth)
+ */
+export function formatTime(ms, withTenths = false) {
+  const precision = withTenths ? 100 : 1000;
+  const rounded = Math.max(0, Math.ceil(ms / precision)) * precision;
+  const totalSeconds = Math.floor(rounded / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor(totalSeconds / 60) % 60;
+  const seconds = totalSeconds % 60;
+
+  const pad = (value) => value.toString().padStart(2, "0");
+  const time =
+    hours > 0
+      ? `${hours}:${pad(minutes)}:${pad(seconds)}`
+      : `${pad(minutes)}:${pad(seconds)}`;
+  return withTenths
+    ? `${time}${getDecimalSeparator()}${(rounded % 1000) / 100}`
+    : time;
+}
+
 /**
  * Create SVG path for filled arc (pie slice)
  *
@@ -42,8 +179,8 @@ export function createArcPath(progress) {
   const cy = 100; // Center Y in viewBox coordinates
   const r = 90; // Radius
 
-  // Empty path for 0% progress
-  if (progress === 0) return "";
+  // Empty path for 0% progress (or no valid progress at all)
+  if (!(progress > 0)) return "";
 
   // Full circle for 100% progress - use simpler path
   if (progress >= 0.9999) {
@@ -64,34 +201,124 @@ export function createArcPath(progress) {
   return `M ${cx},${cy} L ${cx},${cy - r} A ${r},${r} 0 ${largeArc},1 ${x},${y} Z`;
 }
 
+/**
+ * Format the time counted up so far as MM:SS
+ * Rounded down, so a stopwatch only shows a second once it has passed
+ * @param {number} ms - Elapsed time in milliseconds
+ * @returns {string} Zero-padded MM:SS string
+ */
+function formatElapsed(ms) {
+  return formatTime(Math.floor(Math.max(0, ms) / 1000) * 1000);
+}
+
+/**
+ * Format a speaking rate, e.g. "1.5×"
+ * @param {number} rate - Speaking rate (1 is normal speed)
+ * @returns {string} Rate with one decimal
+ */
+export function formatRate(rate) {
+  const number = formatNumber(rate, {
+    minimumFractionDigits: 1,
+    maximumFractionDigits: 1,
+  });
+  return `${number}×`;
+}
+
+/**
+ * Describe the time left in a phase, or the time counted up in an open-ended one
+ * @param {number} elapsed - Elapsed time in the phase, in milliseconds
+ * @param {number} totalTime - Duration of the phase (Infinity for the stopwatch)
+ * @returns {string} e.g. "00:42 left" or "03:10 elapsed"
+ */
+export function formatRemaining(elapsed, totalTime) {
+  return Number.isFinite(totalTime)
+    ? t("time.left", { time: formatTime(totalTime - elapsed) })
+    : t("time.elapsed", { time: formatElapsed(elapsed) });
+}
+
 /**
  * Update the visual display (time text and progress arc)
  *
  * Updates both the countdown timer and the filled arc progress.
- * The inverted text layer uses CSS filter to automatically flip colors.
+ * The second text layer is clipped to the filled arc and drawn in its text color.
+ * An open-ended phase (the stopwatch) counts up instead and fills the arc
+ * once per minute.
  *
  * @param {number} elapsed - Elapsed time in milliseconds since phase started
- * @param {number} totalTime - Total time for current phase in milliseconds
+ * @param {number} totalTime - Total time for current phase in milliseconds (Infinity for the stopwatch)
  */
 export function updateDisplay(elapsed, totalTime) {
+  setProgressValue(elapsed, totalTime);
+
+  if (!Number.isFinite(totalTime)) {
+    const safeElapsed = Math.max(0, elapsed);
+    const arcElapsed = reducedMotion?.matches
+      ? Math.floor(safeElapsed / 1000) * 1000
+      : safeElapsed;
+    drawDisplay(
+      formatElapsed(safeElapsed),
+      (arcElapsed % STOPWATCH_ARC_PERIOD) / STOPWATCH_ARC_PERIOD,
+    );
+    return;
+  }
+
   // Prevent negative time and handle division by zero
   const safeElapsed = Math.max(0, Math.min(elapsed, totalTime));
   const safeTotalTime = totalTime > 0 ? totalTime : 1;
 
-  // Calculate remaining time in seconds (rounded up, min 0)
-  const remaining = Math.max(0, Math.ceil((safeTotalTime - safeElapsed) / 1000));
-  const minutes = Math.floor(remaining / 60);
-  const seconds = remaining % 60;
+  // Format remaining time as MM:SS (rounded up, min 0), with tenths at the end if enabled
+  const remaining = safeTotalTime - safeElapsed;
+  const timeString = formatTime(
+    remaining,
+    showTenths && remaining < TENTHS_THRESHOLD,
+  );
+
+  // Calculate progress ratio (0 to 1) with bounds checking, whole seconds with reduced motion
+  const arcElapsed = reducedMotion?.matches
+    ? safeTotalTime - Math.ceil(remaining / 1000) * 1000
+    : safeElapsed;
+  const progress = Math.min(Math.max(0, arcElapsed / safeTotalTime), 1);
+  drawDisplay(timeString, progress);
+}
+
+/**
+ * Expose the phase progress to assistive technology
+ * Only written when the whole seconds change, not every frame
+ * @param {number} elapsed - Elapsed time in the phase, in milliseconds
+ * @param {number} totalTime - Duration of the phase (Infinity for the stopwatch)
+ */
+function setProgressValue(elapsed, totalTime) {
+  const valueText = formatRemaining(elapsed, totalTime);
+  if (elements.timerArc.getAttribute("aria-valuetext") === valueText) return;
 
-  // Format as MM:SS with zero-padding
-  const timeString = `${minutes.toString().padStart(2, "0")}:${seconds.toString().padStart(2, "0")}`;
+  elements.timerArc.setAttribute("aria-valuetext", valueText);
+  if (Number.isFinite(totalTime)) {
+    const percent = totalTime > 0 ? (elapsed / totalTime) * 100 : 100;
+    elements.timerArc.setAttribute(
+      "aria-valuenow",
+      Math.round(Math.min(Math.max(0, percent), 100)),
+    );
+  } else {
+    // The stopwatch has no end, so its progress is indeterminate
+    elements.timerArc.removeAttribute("aria-valuenow");
+  }
+}
 
+/**
+ * Draw the time text and the progress arc
+ * @param {string} timeString - Text in the middle of the arc
+ * @param {number} progress - Filled share of the arc, from 0 to 1
+ */
+function drawDisplay(timeString, progress) {
   // Update text (single update)
   elements.timeText.textContent = timeString;
   elements.timeTextInverted.textContent = timeString;
 
-  // Calculate progress ratio (0 to 1) with bounds checking
-  const progress = Math.min(Math.max(0, safeElapsed / safeTotalTime), 1);
+  // Hours and tenths need a smaller font to fit in the arc
+  const isLong = timeString.length > 5;
+  elements.timeText.classList.toggle("long", isLong);
+  elements.timeTextInverted.classList.toggle("long", isLong);
+
   const pathData = createArcPath(progress);
 
   // Update both the visible arc and the clip path
@@ -99,21 +326,167 @@ export function updateDisplay(elapsed, totalTime) {
   elements.progressPath.setAttribute("d", pathData);
 }
 
+/**
+ * Choose the extra information shown with the timer
+ * @param {import("./settings.js").DisplaySettings} options - Display settings
+ */
+export function setDisplayOptions(options) {
+  showTenths = options.tenths;
+  elements.roundInfoDisplay.hidden = !options.round;
+  elements.totalElapsedDisplay.hidden = !options.totalElapsed;
+  elements.totalRemainingDisplay.hidden = !options.totalRemaining;
+  elements.sessionProgress.hidden = !options.progressBar;
+}
+
+/**
+ * Update the session overlays: round, total elapsed and remaining time, progress bar
+ * @param {number} elapsed - Time elapsed in the session, excluding pauses, in milliseconds
+ * @param {number} duration - Length of the session (Infinity for the stopwatch)
+ * @param {import("./program.js").Step} step - Current step
+ */
+export function updateSessionInfo(elapsed, duration, step) {
+  const isOpenEnded = !Number.isFinite(duration);
+  const repetition = step.repetitions.at(-1);
+
+  elements.roundInfoDisplay.textContent = repetition
+    ? `${repetition.name} ${repetition.index}/${repetition.count}`
+    : "";
+  elements.totalElapsedDisplay.textContent = t("session.elapsed", {
+    time: formatElapsed(elapsed),
+  });
+  elements.totalRemainingDisplay.textContent = isOpenEnded
+    ? ""
+    : t("session.remaining", { time: formatTime(duration - elapsed) });
+  elements.sessionProgress.value = isOpenEnded
+    ? 0
+    : Math.min(Math.max(0, elapsed / duration), 1);
+}
+
 /**
  * Update phase counter display
  * @param {number} count - Number of completed phases
+ * @param {number} total - Number of work phases in the workout
  */
-export function updatePhaseCount(count) {
-  elements.phaseCountDisplay.textContent = count.toString();
+export function updatePhaseCount(count, total) {
+  elements.phaseCountDisplay.textContent = `${count}/${total}`;
 }
 
 /**
- * Set phase color (work = black, rest = inverted)
+ * Set phase color (work colors, everything else rest colors)
  * @param {boolean} isWorkPhase - Whether in work phase
  */
 export function setPhaseColor(isWorkPhase) {
   elements.appContainer.classList.toggle("rest", !isWorkPhase);
-  elements.phaseTextDisplay.textContent = isWorkPhase ? "Work" : "Rest";
+}
+
+/**
+ * Show or hide the get-ready colors of the countdown
+ * @param {boolean} isPreparing - Whether the countdown is running
+ */
+export function setPreparing(isPreparing) {
+  elements.appContainer.classList.toggle("prep", isPreparing);
+}
+
+/**
+ * Show the current segment or exercise, its position in the program and what's next
+ * Rest screens show the note of the upcoming exercise instead of their own
+ * @param {import("./program.js").Step} step - Current step
+ * @param {import("./program.js").Step|null} nextStep - Following step, or null on the last step
+ */
+export function updateStepInfo(step, nextStep) {
+  elements.phaseTextDisplay.textContent = step.name;
+  elements.phaseNoteDisplay.textContent = step.isWork
+    ? step.note
+    : (nextStep?.note ?? "");
+  elements.phaseContextDisplay.textContent = describeRepetitions(step);
+  if (nextStep) {
+    elements.nextPhaseDisplay.textContent = t("step.nextWithTime", {
+      name: nextStep.name,
+      time: formatTime(nextStep.duration),
+    });
+  } else {
+    // The stopwatch runs until it is stopped
+    elements.nextPhaseDisplay.textContent = Number.isFinite(step.duration)
+      ? t("step.nextFinish")
+      : "";
+  }
+}
+
+/**
+ * Show the settings and controls of a timer mode
+ * @param {TimerMode} mode - Interval, countdown or stopwatch
+ */
+export function setMode(mode) {
+  for (const value of Object.values(TimerMode)) {
+    elements.appContainer.classList.toggle(`mode-${value}`, value === mode);
+  }
+  for (const input of elements.modeInputs) {
+    input.checked = input.value === mode;
+  }
+}
+
+/**
+ * Enable the lap button while the stopwatch runs
+ * @param {boolean} isEnabled - Whether a lap can be taken
+ */
+export function setLapButton(isEnabled) {
+  elements.lapBtn.disabled = !isEnabled;
+  releaseFocus(elements.lapBtn);
+}
+
+/**
+ * Render the stopwatch laps, newest first
+ * @param {number[]} laps - Session elapsed time at each lap, in milliseconds
+ */
+export function renderLaps(laps) {
+  elements.lapList.replaceChildren(
+    ...laps
+      .map((time, index) => {
+        const item = document.createElement("li");
+        const duration = time - (laps[index - 1] ?? 0);
+        item.textContent = t("laps.item", {
+          number: index + 1,
+          time: formatElapsed(duration),
+          total: formatElapsed(time),
+        });
+        return item;
+      })
+      .reverse(),
+  );
+}
+
+/**
+ * Enable the phase adjustment buttons while a workout is in progress
+ * @param {boolean} isActive - Whether a workout is running or paused
+ * @param {boolean} canExtendRest - Whether the current rest can still be extended
+ */
+export function setAdjustControls(isActive, canExtendRest) {
+  const buttons = [
+    elements.skipBackBtn,
+    elements.removeTimeBtn,
+    elements.addTimeBtn,
+    elements.skipForwardBtn,
+  ];
+  for (const button of buttons) {
+    button.disabled = !isActive;
+    releaseFocus(button);
+  }
+  elements.extendRestBtn.disabled = !canExtendRest;
+  releaseFocus(elements.extendRestBtn);
+}
+
+/**
+ * Show how much the current phase was altered
+ * @param {number} amount - Milliseconds added (negative: removed), 0 if unaltered
+ */
+export function setPhaseAdjustment(amount) {
+  elements.appContainer.classList.toggle("adjusted", amount !== 0);
+  elements.phaseAdjustmentDisplay.textContent =
+    amount === 0
+      ? ""
+      : t("adjust.adjusted", {
+          amount: `${amount > 0 ? "+" : "−"}${formatTime(Math.abs(amount))}`,
+        });
 }
 
 /**
@@ -129,7 +502,9 @@ export function setTimerRunning(isRunning) {
  * @param {boolean} isRunning - Whether timer is running
  */
 export function setStartStopButton(isRunning) {
-  elements.startStopBtn.textContent = isRunning ? "Pause" : "Start";
+  elements.startStopBtn.textContent = t(
+    isRunning ? "controls.pause" : "controls.start",
+  );
 }
 
 /**
@@ -140,6 +515,14 @@ export function setMuteButton(isMuted) {
   elements.muteBtn.classList.toggle("muted", isMuted);
 }
 
+/**
+ * Update voice mute button style
+ * @param {boolean} isMuted - Whether voice cues are muted
+ */
+export function setVoiceButton(isMuted) {
+  elements.voiceMuteBtn.classList.toggle("muted", isMuted);
+}
+
 /**
  * Toggle fullscreen mode
  * Uses the Fullscreen API to enter/exit fullscreen
@@ -167,15 +550,545 @@ export function updateFullscreenButton() {
   const isFullscreen = !!document.fullscreenElement;
   elements.fullscreenBtn.setAttribute(
     "aria-label",
-    isFullscreen ? "Exit fullscreen" : "Enter fullscreen",
+    t(isFullscreen ? "controls.exitFullscreen" : "controls.enterFullscreen"),
   );
 }
 
 /**
  * Display countdown number
- * @param {number} count - Countdown number (3, 2, 1)
+ * The arc fills in the color of the coming phase as the countdown runs out
+ * @param {number} count - Seconds left in the countdown
+ * @param {number} total - Length of the countdown, in seconds
+ */
+export function showCountdown(count, total) {
+  drawDisplay(count.toString(), (total - count) / total);
+  elements.timerArc.setAttribute(
+    "aria-valuetext",
+    t("countdown.startingIn", { count }),
+  );
+}
+
+/**
+ * Show or hide the finished screen
+ * Fills the arc completely and replaces the time with "DONE"
+ * @param {boolean} isFinished - Whether the workout has finished
  */
-export function showCountdown(count) {
-  elements.timeText.textContent = count.toString();
-  elements.timeTextInverted.textContent = count.toString();
+export function setFinished(isFinished) {
+  elements.appContainer.classList.toggle("finished", isFinished);
+
+  if (!isFinished) return;
+
+  // The finished screen always uses the work colors
+  setPhaseColor(true);
+  elements.phaseTextDisplay.textContent = t("finish.done");
+  elements.phaseNoteDisplay.textContent = "";
+  elements.phaseContextDisplay.textContent = "";
+  elements.nextPhaseDisplay.textContent = "";
+  elements.timeText.textContent = t("finish.doneShort");
+  elements.timeTextInverted.textContent = t("finish.doneShort");
+  elements.timerArc.setAttribute("aria-valuenow", 100);
+  elements.timerArc.setAttribute("aria-valuetext", t("finish.complete"));
+
+  const pathData = createArcPath(1);
+  elements.arcProgress.setAttribute("d", pathData);
+  elements.progressPath.setAttribute("d", pathData);
+}
+
+/**
+ * Render the exercise list editor
+ * @param {import("./program.js").Exercise[]} exercises - Exercises in order
+ * @param {number} workTime - Default work duration in milliseconds, shown as placeholder
+ */
+export function renderExercises(exercises, workTime) {
+  elements.exerciseList.replaceChildren(
+    ...exercises.map((exercise, index) =>
+      createExerciseItem(exercise, index, exercises.length, workTime),
+    ),
+  );
+  elements.addExerciseBtn.disabled = exercises.length >= EXERCISE_LIMITS.count;
+}
+
+/**
+ * Create the editor row for one exercise
+ * @param {import("./program.js").Exercise} exercise - Exercise
+ * @param {number} index - Position in the list
+ * @param {number} count - Number of exercises
+ * @param {number} workTime - Default work duration in milliseconds
+ * @returns {HTMLLIElement} List item with inputs and move/remove buttons
+ */
+function createExerciseItem(exercise, index, count, workTime) {
+  const item = document.createElement("li");
+  const number = index + 1;
+  item.dataset.index = index;
+
+  const name = document.createElement("input");
+  name.type = "text";
+  name.dataset.field = "name";
+  name.value = exercise.name;
+  name.maxLength = EXERCISE_LIMITS.nameLength;
+  name.required = true;
+  name.setAttribute("aria-label", t("exercises.nameLabel", { number }));
+
+  const duration = document.createElement("input");
+  duration.type = "number";
+  duration.dataset.field = "duration";
+  duration.value = exercise.duration === null ? "" : exercise.duration / 1000;
+  duration.min = CONFIG_FIELDS.workTime.min;
+  duration.max = CONFIG_FIELDS.workTime.max;
+  duration.inputMode = "numeric";
+  duration.placeholder = workTime / 1000;
+  duration.setAttribute("aria-label", t("exercises.durationLabel", { number }));
+
+  const note = document.createElement("input");
+  note.type = "text";
+  note.dataset.field = "note";
+  note.value = exercise.note;
+  note.maxLength = EXERCISE_LIMITS.noteLength;
+  note.placeholder = t("exercises.note");
+  note.setAttribute("aria-label", t("exercises.noteLabel", { number }));
+
+  const buttons = [
+    {
+      action: "up",
+      text: "↑",
+      label: "exercises.moveUp",
+      disabled: index === 0,
+    },
+    {
+      action: "down",
+      text: "↓",
+      label: "exercises.moveDown",
+      disabled: index === count - 1,
+    },
+    {
+      action: "remove",
+      text: "X",
+      label: "exercises.remove",
+      disabled: false,
+    },
+  ].map(({ action, text, label, disabled }) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.dataset.action = action;
+    button.textContent = text;
+    button.disabled = disabled;
+    button.setAttribute("aria-label", t(label, { number }));
+    return button;
+  });
+
+  item.append(name, duration, note, ...buttons);
+  return item;
+}
+
+/**
+ * Get the name of a preset to show
+ * Templates are named in the active language, user presets as saved
+ * @param {import("./presets.js").Preset} preset - Preset
+ * @returns {string} Display name
+ */
+function getPresetLabel(preset) {
+  return preset.builtIn
+    ? t(`presets.${preset.id.replace("builtin:", "")}`)
+    : preset.name;
+}
+
+/**
+ * Render the preset picker
+ * Built-in templates and user presets are listed in separate groups
+ * @param {import("./presets.js").Preset[]} presets - Presets to list
+ * @param {string} selectedId - Id of the selected preset, or "" for custom settings
+ */
+export function renderPresets(presets, selectedId) {
+  const custom = new Option(t("presets.custom"), "");
+  const templates = document.createElement("optgroup");
+  const userPresets = document.createElement("optgroup");
+  templates.label = t("presets.templates");
+  userPresets.label = t("presets.mine");
+
+  for (const preset of presets) {
+    const group = preset.builtIn ? templates : userPresets;
+    group.append(new Option(getPresetLabel(preset), preset.id));
+  }
+
+  elements.presetSelect.replaceChildren(custom, templates);
+  if (userPresets.children.length > 0) {
+    elements.presetSelect.append(userPresets);
+  }
+  setSelectedPreset(presets.find((preset) => preset.id === selectedId));
+}
+
+/**
+ * Reflect the selected preset in the picker, name field and delete button
+ * @param {import("./presets.js").Preset|undefined} preset - Selected preset, undefined for custom settings
+ */
+export function setSelectedPreset(preset) {
+  elements.presetSelect.value = preset ? preset.id : "";
+  elements.deletePresetBtn.disabled = !preset || preset.builtIn;
+
+  if (preset && !preset.builtIn) {
+    elements.presetNameInput.value = preset.name;
+  }
+}
+
+/**
+ * Offer to resume an unfinished session
+ * @param {import("./program.js").Step} step - Step the session stopped in
+ * @param {number} elapsed - Elapsed time in that step, in milliseconds
+ * @param {number} totalTime - Duration of that step, in milliseconds
+ */
+export function showResumePrompt(step, elapsed, totalTime) {
+  const position = describeRepetitions(step);
+  const where = position ? `${position}, ${step.name}` : step.name;
+  elements.resumeText.textContent = t("resume.prompt", {
+    where,
+    time: formatRemaining(elapsed, totalTime),
+  });
+  elements.resumeBanner.hidden = false;
+  elements.resumeSessionBtn.focus();
+}
+
+/**
+ * Hide the resume prompt
+ */
+export function hideResumePrompt() {
+  elements.resumeBanner.hidden = true;
+  releaseFocus(elements.resumeBanner);
+}
+
+/**
+ * Show a message until it is dismissed
+ * @param {string} text - Message to show
+ */
+export function showNotice(text) {
+  elements.noticeText.textContent = text;
+  elements.noticeBanner.hidden = false;
+}
+
+/**
+ * Hide the message banner
+ */
+export function hideNotice() {
+  elements.noticeBanner.hidden = true;
+  releaseFocus(elements.noticeBanner);
+}
+
+/**
+ * Open a modal dialog, returning focus to the control that opened it on close
+ * @param {HTMLDialogElement} dialog - Dialog to open
+ */
+export function showDialog(dialog) {
+  const opener = document.activeElement;
+  dialog.addEventListener("close", () => opener?.focus(), { once: true });
+  dialog.showModal();
+}
+
+/**
+ * Move focus to the start button when it is on an element being hidden or disabled
+ * Otherwise it would fall back to the start of the page
+ * @param {HTMLElement} element - Element, or container of elements, going away
+ */
+function releaseFocus(element) {
+  const isGone = element.hidden || element.disabled;
+  if (isGone && element.contains(document.activeElement)) {
+    elements.startStopBtn.focus();
+  }
+}
+
+/**
+ * Render the history screen
+ * @param {import("./stats.js").WeekTotals[]} weeks - Weekly totals, newest first
+ * @param {number} streak - Current streak in days
+ * @param {import("./stats.js").DayGroup[]} days - Sessions grouped by day, newest first
+ */
+export function renderHistory(weeks, streak, days) {
+  elements.historyStreak.textContent = plural("history.streak", streak);
+
+  const dateFormat = { weekday: "short", day: "numeric", month: "short" };
+
+  elements.historyWeeks.replaceChildren(
+    ...weeks.slice(0, 4).map((week) => {
+      const item = document.createElement("li");
+      const start = new Date(week.weekStart).toLocaleDateString(
+        getLocale(),
+        dateFormat,
+      );
+      item.textContent = t("history.week", {
+        start,
+        sessions: formatNumber(week.sessions),
+        work: formatTime(week.workTime),
+        total: formatTime(week.totalTime),
+      });
+      return item;
+    }),
+  );
+
+  if (days.length === 0) {
+    elements.historyDays.textContent = t("history.empty");
+    return;
+  }
+
+  elements.historyDays.replaceChildren(
+    ...days.map(({ day, entries }) => {
+      const group = document.createElement("div");
+      const heading = document.createElement("h4");
+      const list = document.createElement("ul");
+      group.className = "history-day";
+      list.className = "history-list";
+      heading.textContent = new Date(day).toLocaleDateString(
+        getLocale(),
+        dateFormat,
+      );
+      list.append(...entries.map(createHistoryItem));
+      group.append(heading, list);
+      return group;
+    }),
+  );
+}
+
+/**
+ * Create the list item for one history entry
+ * @param {import("./history.js").HistoryEntry} entry - History entry
+ * @returns {HTMLLIElement} List item with a delete button
+ */
+function createHistoryItem(entry) {
+  const item = document.createElement("li");
+  const summary = document.createElement("span");
+  const deleteBtn = document.createElement("button");
+
+  const time = new Date(entry.startedAt).toLocaleTimeString(getLocale(), {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+  const parts = [
+    `${time} ${describeConfig(entry.config)}`,
+    plural("history.phases", entry.phaseCount),
+    t("history.work", { time: formatTime(entry.workTime) }),
+  ];
+  if (entry.pauseCount > 0) {
+    parts.push(
+      t("history.paused", {
+        count: formatNumber(entry.pauseCount),
+        time: formatTime(entry.pauseDuration),
+      }),
+    );
+  }
+  if (!entry.completed) {
+    parts.push(t("history.stopped"));
+  }
+  summary.textContent = parts.join(" · ");
+
+  deleteBtn.type = "button";
+  deleteBtn.textContent = t("presets.delete");
+  deleteBtn.dataset.entryId = entry.id;
+
+  item.append(summary, deleteBtn);
+  return item;
+}
+
+/**
+ * Offer a generated file for download
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} type - MIME type
+ */
+export function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Show the outcome of an export or import
+ * @param {string[]} lines - Report lines
+ */
+export function showTransferReport(lines) {
+  elements.transferReport.replaceChildren(
+    ...lines.map((line) => {
+      const item = document.createElement("li");
+      item.textContent = line;
+      return item;
+    }),
+  );
+}
+
+/**
+ * Show or hide the "update available" prompt
+ * @param {boolean} isVisible - Whether an update is waiting
+ */
+export function setUpdatePrompt(isVisible) {
+  elements.updateBanner.hidden = !isVisible;
+  releaseFocus(elements.updateBanner);
+}
+
+/**
+ * Render the language picker
+ * Languages are listed by their own name
+ * @param {string} language - Selected key of LOCALES, or "" to follow the browser
+ * @param {Object} locales - LOCALES
+ */
+export function renderLanguageSettings(language, locales) {
+  elements.languageSelect.replaceChildren(
+    new Option(t("language.auto"), ""),
+    ...Object.entries(locales).map(
+      ([key, { label }]) => new Option(label, key),
+    ),
+  );
+  elements.languageSelect.value = language;
+}
+
+/**
+ * Render the appearance settings
+ * @param {import("./settings.js").AppearanceSettings} settings - Appearance settings
+ * @param {Object} themes - COLOR_THEMES
+ * @param {import("./settings.js").PhaseColors} colors - Phase colors in effect
+ */
+export function renderAppearanceSettings(settings, themes, colors) {
+  elements.colorThemeSelect.replaceChildren(
+    ...Object.entries(themes).map(
+      ([key, { label }]) => new Option(t(label), key),
+    ),
+  );
+  elements.colorThemeSelect.value = settings.theme;
+  for (const input of elements.phaseColorInputs) {
+    input.value = colors[input.dataset.phaseColor];
+  }
+}
+
+/**
+ * Render the display settings
+ * @param {import("./settings.js").DisplaySettings} settings - Display settings
+ */
+export function renderDisplaySettings(settings) {
+  for (const input of elements.displayOptionInputs) {
+    input.checked = settings[input.dataset.displayOption];
+  }
+}
+
+/**
+ * Render the get-ready settings
+ * @param {import("./settings.js").PrepSettings} settings - Get-ready settings
+ */
+export function renderPrepSettings(settings) {
+  elements.prepDurationInput.value = settings.duration;
+  for (const input of elements.prepOptionInputs) {
+    input.checked = settings[input.dataset.prepOption];
+  }
+}
+
+/**
+ * Render the sound settings
+ * @param {import("./settings.js").SoundSettings} settings - Sound settings
+ * @param {Object<string, {label: string}>} themes - Available sound themes by key
+ */
+export function renderSoundSettings(settings, themes) {
+  elements.soundEnabledInput.checked = !settings.muted;
+  elements.soundThemeSelect.replaceChildren(
+    ...Object.entries(themes).map(
+      ([key, { label }]) => new Option(t(label), key),
+    ),
+  );
+  elements.soundThemeSelect.value = settings.theme;
+  elements.soundVolumeInput.value = settings.volume;
+  setVolumeValue(settings.volume);
+  elements.warningTicksInput.value = settings.warningTicks;
+}
+
+/**
+ * Show the volume next to its slider
+ * @param {number} volume - Volume from 0 to 1
+ */
+export function setVolumeValue(volume) {
+  elements.soundVolumeValue.textContent = formatNumber(volume, {
+    style: "percent",
+  });
+}
+
+/**
+ * Render the vibration settings
+ * The options are hidden on devices that can't vibrate
+ * @param {import("./settings.js").VibrationSettings} settings - Vibration settings
+ * @param {boolean} isSupported - Whether the device can vibrate
+ */
+export function renderVibrationSettings(settings, isSupported) {
+  elements.vibrationUnsupported.hidden = isSupported;
+  elements.vibrationOptions.hidden = !isSupported;
+  elements.vibrationEnabledInput.checked = settings.enabled;
+  elements.warningPulsesInput.value = settings.warningPulses;
+
+  for (const input of elements.vibrationPatternInputs) {
+    input.value = settings.patterns[input.dataset.vibrationEvent].join(" ");
+    input.setCustomValidity("");
+  }
+}
+
+/**
+ * Render the voice settings
+ * The voice picker only lists voices of the selected language
+ * @param {import("./settings.js").VoiceSettings} settings - Voice settings
+ * @param {SpeechSynthesisVoice[]} voices - Available voices
+ * @param {boolean} isSupported - Whether the browser can speak at all
+ */
+export function renderVoiceSettings(settings, voices, isSupported) {
+  elements.voiceUnsupported.hidden = isSupported;
+
+  for (const input of elements.voiceCueInputs) {
+    input.checked = settings.cues[input.dataset.voiceCue];
+  }
+
+  const languages = [...new Set(voices.map((voice) => voice.lang))].sort();
+  elements.voiceLangSelect.replaceChildren(
+    new Option(t("voice.anyLanguage"), ""),
+    ...languages.map((lang) => new Option(lang, lang)),
+  );
+  elements.voiceLangSelect.value = settings.lang;
+
+  const matching = voices.filter(
+    (voice) => !settings.lang || voice.lang === settings.lang,
+  );
+  elements.voiceSelect.replaceChildren(
+    new Option(t("voice.defaultVoice"), ""),
+    ...matching.map((voice) => new Option(voice.name, voice.voiceURI)),
+  );
+  elements.voiceSelect.value = settings.voiceURI;
+
+  elements.voiceRateInput.value = settings.rate;
+  elements.voiceRateValue.textContent = formatRate(settings.rate);
+}
+
+/**
+ * Show the running state, countdown and finished screen on the timer events
+ * The phase display itself is redrawn by the app on every frame
+ */
+export function subscribeToTimer() {
+  const showRunning = (isRunning) => {
+    setStartStopButton(isRunning);
+    setTimerRunning(isRunning);
+  };
+
+  on(TimerEvent.COUNTDOWN_TICK, ({ count, total }) =>
+    showCountdown(count, total),
+  );
+  on(TimerEvent.START, () => {
+    hideResumePrompt();
+    showRunning(true);
+  });
+  on(TimerEvent.RESUME, () => {
+    hideResumePrompt();
+    showRunning(true);
+  });
+  on(TimerEvent.PAUSE, () => showRunning(false));
+  on(TimerEvent.FINISH, () => {
+    showRunning(false);
+    setFinished(true);
+  });
+  on(TimerEvent.RESET, () => {
+    hideResumePrompt();
+    setFinished(false);
+    setPreparing(false);
+    renderLaps([]);
+    showRunning(false);
+  });
 }
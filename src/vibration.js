@@ -1,10 +1,20 @@
 /**
  * Vibration functions for haptic feedback
  * Uses the Vibration API for mobile devices
+ * Patterns per event come from the vibration settings
  */
 
 import { state } from "./state.js";
-import { COUNTDOWN_CONFIG } from "./config.js";
+import { getCountdownCue } from "./config.js";
+import { on, TimerEvent } from "./events.js";
+import { createProgressTracker } from "./progress.js";
+
+// Limits for user-entered patterns
+const MAX_PATTERN_STEPS = 20;
+const MAX_PATTERN_DURATION = 5000;
+
+// Final seconds already pulsed in the current phase
+const progress = createProgressTracker();
 
 /**
  * Check if vibration is supported
@@ -15,40 +25,107 @@ export function isVibrationSupported() {
 }
 
 /**
- * Trigger vibration if supported and not muted
- * Respects mute state (when muted, also disables vibration)
+ * Trigger vibration if supported and enabled
+ * Independent of the sound mute
  *
  * @param {number|number[]} pattern - Vibration pattern in milliseconds
  *   - Single number: vibrate for that duration
  *   - Array: alternating vibrate/pause durations [vibrate, pause, vibrate, ...]
+ * @param {boolean} force - Vibrate even when vibration is disabled (default: false)
  */
-export function vibrate(pattern) {
-  // Don't vibrate if muted or unsupported
-  if (state.isMuted || !isVibrationSupported()) return;
+export function vibrate(pattern, force = false) {
+  // Don't vibrate if disabled or unsupported
+  const isEnabled = state.settings.vibration.enabled || force;
+  if (!isEnabled || !isVibrationSupported()) return;
 
   navigator.vibrate(pattern);
 }
 
 /**
- * Play vibration for phase change
- * Single 200ms pulse
+ * Play the vibration for the start of a phase
+ * @param {boolean} isWork - Whether a work interval starts
+ */
+export function vibratePhaseStart(isWork) {
+  progress.sync(0);
+
+  const { patterns } = state.settings.vibration;
+  vibrate(isWork ? patterns.workStart : patterns.restStart);
+}
+
+/**
+ * Pulse once in each of the last seconds of the current phase
+ * Each second is vibrated once, when the elapsed time first passes it
+ *
+ * @param {number} elapsed - Elapsed time in the current phase, in milliseconds
+ * @param {number} totalTime - Duration of the current phase, in milliseconds
+ * @param {number} seconds - Number of warning seconds (0 for none)
+ */
+export function vibrateWarning(elapsed, totalTime, seconds) {
+  const hasPassed = progress.advance(elapsed);
+
+  for (let second = 1; second <= seconds; second++) {
+    const at = totalTime - second * 1000;
+    if (at > 0 && hasPassed(at)) {
+      vibrate(state.settings.vibration.patterns.warning);
+    }
+  }
+}
+
+/**
+ * Continue warning vibrations from the given position (after resuming)
+ * @param {number} elapsed - Elapsed time in the current phase, in milliseconds
  */
-export function vibratePhaseChange() {
-  if (state.isMuted || !isVibrationSupported()) return;
-  navigator.vibrate(200);
+export function syncProgress(elapsed) {
+  progress.sync(elapsed);
 }
 
 /**
  * Play vibration for countdown tick
  * Pattern depends on countdown number for escalating intensity
  *
- * @param {number} count - Countdown number (3, 2, 1)
+ * @param {number} count - Seconds left in the countdown
  */
 export function vibrateCountdown(count) {
-  if (state.isMuted || !isVibrationSupported()) return;
-  const config = COUNTDOWN_CONFIG[count];
-  const duration = config ? config.vibrationDuration : 100;
-  navigator.vibrate(duration);
+  const cue = getCountdownCue(count);
+  if (cue) {
+    vibrate(cue.vibrationDuration);
+  }
+}
+
+/**
+ * Play vibration for workout completion
+ */
+export function vibrateFinish() {
+  vibrate(state.settings.vibration.patterns.finish);
+}
+
+/**
+ * Play the pattern of an event, even when vibration is disabled
+ * @param {keyof import("./settings.js").VibrationPatterns} event - Event to preview
+ */
+export function previewPattern(event) {
+  vibrate(state.settings.vibration.patterns[event], true);
+}
+
+/**
+ * Parse a pattern typed by the user, e.g. "200 100 200" or "200, 100, 200"
+ * @param {string} text - Durations in milliseconds, separated by spaces or commas
+ * @returns {number[]|null} Pattern, or null if invalid
+ */
+export function parsePattern(text) {
+  const parts = text.split(/[\s,]+/).filter(Boolean);
+  const pattern = parts.map(Number);
+
+  const isValid =
+    pattern.length > 0 &&
+    pattern.length <= MAX_PATTERN_STEPS &&
+    pattern.every(
+      (duration) =>
+        Number.isInteger(duration) &&
+        duration >= 0 &&
+        duration <= MAX_PATTERN_DURATION,
+    );
+  return isValid ? pattern : null;
 }
 
 /**
@@ -59,3 +136,23 @@ export function stopVibration() {
     navigator.vibrate(0);
   }
 }
+
+/**
+ * Vibrate on the timer events
+ */
+export function subscribeToTimer() {
+  on(TimerEvent.COUNTDOWN_TICK, ({ count }) => vibrateCountdown(count));
+  on(TimerEvent.START, ({ step }) => vibratePhaseStart(step.isWork));
+  on(TimerEvent.PHASE_START, ({ step, isRunning }) => {
+    if (isRunning) {
+      vibratePhaseStart(step.isWork);
+    } else {
+      syncProgress(0);
+    }
+  });
+  on(TimerEvent.RESUME, ({ elapsed }) => syncProgress(elapsed));
+  on(TimerEvent.TICK, ({ elapsed, totalTime }) =>
+    vibrateWarning(elapsed, totalTime, state.settings.vibration.warningPulses),
+  );
+  on(TimerEvent.FINISH, vibrateFinish);
+}
@@ -0,0 +1,169 @@
+/**
+ * Spoken cues using the Web Speech API (speech synthesis)
+ * Muted separately from the beeps, with the cues chosen in the voice settings
+ * Cues are spoken in the app's language unless a voice or language is picked
+ */
+
+import { state } from "./state.js";
+import { VOICE_CONFIG } from "./config.js";
+import { t, plural, getLocale } from "./i18n.js";
+import { on, TimerEvent } from "./events.js";
+import { createProgressTracker } from "./progress.js";
+
+// Halfway and warning cues already spoken in the current phase
+const progress = createProgressTracker();
+
+/**
+ * Check if speech synthesis is supported
+ * @returns {boolean} True if window.speechSynthesis is available
+ */
+export function isSpeechSupported() {
+  return "speechSynthesis" in window;
+}
+
+/**
+ * List the voices installed in the browser
+ * The list may be empty until the voiceschanged event has fired
+ * @returns {SpeechSynthesisVoice[]} Available voices
+ */
+export function getVoices() {
+  return isSpeechSupported() ? speechSynthesis.getVoices() : [];
+}
+
+/**
+ * Call back whenever the list of voices changes (they load asynchronously)
+ * @param {Function} callback - Called without arguments
+ */
+export function onVoicesChanged(callback) {
+  if (isSpeechSupported()) {
+    speechSynthesis.addEventListener("voiceschanged", callback);
+  }
+}
+
+/**
+ * Speak a text with the selected voice, language and rate
+ * A new cue interrupts whatever is still being said
+ *
+ * @param {string} text - Text to speak
+ * @param {boolean} force - Speak even when voice is muted (default: false)
+ */
+export function speak(text, force = false) {
+  const settings = state.settings.voice;
+  if ((settings.muted && !force) || !isSpeechSupported()) return;
+
+  const utterance = new SpeechSynthesisUtterance(text);
+  const voice = getVoices().find(
+    (candidate) => candidate.voiceURI === settings.voiceURI,
+  );
+  if (voice) {
+    utterance.voice = voice;
+    utterance.lang = voice.lang;
+  } else {
+    utterance.lang = settings.lang || getLocale();
+  }
+  utterance.rate = settings.rate;
+
+  speechSynthesis.cancel();
+  speechSynthesis.speak(utterance);
+}
+
+/**
+ * Stop speaking and drop queued cues
+ */
+export function cancelSpeech() {
+  if (isSpeechSupported()) {
+    speechSynthesis.cancel();
+  }
+}
+
+/**
+ * Announce the step that just started
+ * e.g. "Work. Round 5 of 8" or "Rest. Next: Work"
+ *
+ * @param {import("./program.js").Step} step - Step that started
+ * @param {import("./program.js").Step|null} nextStep - Following step, or null on the last step
+ */
+export function announceStep(step, nextStep) {
+  progress.sync(0);
+
+  const { cues } = state.settings.voice;
+  const parts = [];
+  const repetition = step.repetitions.at(-1);
+
+  if (cues.phase) {
+    parts.push(step.name);
+  }
+  if (cues.round && step.isWork && repetition?.count > 1) {
+    parts.push(t("cue.repetition", repetition));
+  }
+  if (cues.next && !step.isWork && nextStep) {
+    parts.push(t("cue.next", { name: nextStep.name }));
+  }
+
+  if (parts.length > 0) {
+    speak(parts.join(". "));
+  }
+}
+
+/**
+ * Announce the halfway point and the final seconds of the current phase
+ * Each cue is spoken once, when the elapsed time first passes it
+ *
+ * @param {number} elapsed - Elapsed time in the current phase, in milliseconds
+ * @param {number} totalTime - Duration of the current phase, in milliseconds
+ */
+export function announceProgress(elapsed, totalTime) {
+  const { cues } = state.settings.voice;
+  const { warningTime } = VOICE_CONFIG;
+  const hasPassed = progress.advance(elapsed);
+
+  const halfway = totalTime / 2;
+  const warningAt = totalTime - warningTime;
+
+  // Short phases skip "Halfway", it would collide with the warning
+  if (cues.halfway && halfway > warningTime && hasPassed(halfway)) {
+    speak(t("cue.halfway"));
+  }
+  if (cues.warning && warningAt > 0 && hasPassed(warningAt)) {
+    speak(plural("cue.seconds", warningTime / 1000));
+  }
+}
+
+/**
+ * Continue progress cues from the given position (after resuming)
+ * Cues already passed are not repeated
+ * @param {number} elapsed - Elapsed time in the current phase, in milliseconds
+ */
+export function syncProgress(elapsed) {
+  progress.sync(elapsed);
+}
+
+/**
+ * Announce the end of the workout
+ */
+export function announceFinish() {
+  if (state.settings.voice.cues.phase) {
+    speak(t("finish.complete"));
+  }
+}
+
+/**
+ * Speak the cues of the timer events
+ */
+export function subscribeToTimer() {
+  on(TimerEvent.START, ({ step, nextStep }) => announceStep(step, nextStep));
+  on(TimerEvent.PHASE_START, ({ step, nextStep, isRunning }) => {
+    if (isRunning) {
+      announceStep(step, nextStep);
+    } else {
+      syncProgress(0);
+    }
+  });
+  on(TimerEvent.RESUME, ({ elapsed }) => syncProgress(elapsed));
+  on(TimerEvent.TICK, ({ elapsed, totalTime }) =>
+    announceProgress(elapsed, totalTime),
+  );
+  on(TimerEvent.PAUSE, cancelSpeech);
+  on(TimerEvent.RESET, cancelSpeech);
+  on(TimerEvent.FINISH, announceFinish);
+}
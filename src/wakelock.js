@@ -0,0 +1,88 @@
+/**
+ * Screen Wake Lock
+ * Keeps the screen on while the timer runs
+ * The browser releases the lock when the page is hidden, so it has to be
+ * requested again when the page becomes visible
+ */
+
+/** @type {WakeLockSentinel|null} */
+let sentinel = null;
+
+/** @type {Promise<void>|null} Request that hasn't resolved yet */
+let pending = null;
+
+// Whether the lock should be held, so a request resolving after a release lets go
+let isWanted = false;
+
+/**
+ * Check if the Screen Wake Lock API is available
+ * @returns {boolean} True if navigator.wakeLock is available
+ */
+export function isWakeLockSupported() {
+  return "wakeLock" in navigator;
+}
+
+/**
+ * Acquire the screen wake lock if not already held or requested
+ * @returns {Promise<void>} Resolves once the lock is held or the request failed
+ */
+export function requestWakeLock() {
+  isWanted = true;
+  if (!isWakeLockSupported() || sentinel) return Promise.resolve();
+
+  pending ??= acquire().finally(() => {
+    pending = null;
+  });
+  return pending;
+}
+
+/**
+ * Request the lock, and release it right away if it is no longer wanted
+ */
+async function acquire() {
+  let lock;
+  try {
+    lock = await navigator.wakeLock.request("screen");
+  } catch (err) {
+    // Fails e.g. when the page is hidden or on low battery
+    console.error("Error acquiring wake lock:", err);
+    return;
+  }
+
+  if (!isWanted) {
+    await release(lock);
+    return;
+  }
+
+  sentinel = lock;
+  lock.addEventListener("release", () => {
+    if (sentinel === lock) {
+      sentinel = null;
+    }
+  });
+}
+
+/**
+ * Release the screen wake lock if held
+ * A request still in progress is released as soon as it resolves
+ */
+export async function releaseWakeLock() {
+  isWanted = false;
+  const lock = sentinel;
+  sentinel = null;
+  if (lock) {
+    await release(lock);
+  }
+}
+
+/**
+ * Release a lock, logging failures
+ * @param {WakeLockSentinel} lock - Lock to release
+ */
+async function release(lock) {
+  try {
+    await lock.release();
+  } catch (err) {
+    console.error("Error releasing wake lock:", err);
+  }
+}
@@ -0,0 +1,468 @@
+import {
+  afterEach,
+  beforeAll,
+  beforeEach,
+  describe,
+  expect,
+  it,
+  vi,
+} from "vitest";
+import { state, TimerStatus } from "../src/state.js";
+import { createManualClock, setClock } from "../src/clock.js";
+import { createExport } from "../src/transfer.js";
+import { advance, CONFIG, flush, loadPage } from "./helpers.js";
+
+const clock = createManualClock();
+
+const $ = (id) => document.getElementById(id);
+const click = (id) => $(id).click();
+const text = (id) => $(id).textContent.trim();
+
+/**
+ * Change a workout setting input like the user does
+ * @param {string} id - ID of the input
+ * @param {number} value - New value in the input's unit
+ */
+function changeSetting(id, value) {
+  $(id).value = value;
+  $(id).dispatchEvent(new Event("change"));
+}
+
+/**
+ * Turn a get-ready option on or off like the user does
+ * @param {string} option - Option name, e.g. "beforeSets"
+ * @param {boolean} checked - Whether it is on
+ */
+function setPrepOption(option, checked) {
+  const input = document.querySelector(`[data-prep-option="${option}"]`);
+  input.checked = checked;
+  input.dispatchEvent(new Event("change"));
+}
+
+/**
+ * Import an export file like the user does in the data settings
+ * @param {Object} data - Export data
+ */
+async function importFile(data) {
+  const file = new File([JSON.stringify(data)], "export.json");
+  Object.defineProperty($("importFile"), "files", {
+    configurable: true,
+    value: [file],
+  });
+  $("importFile").dispatchEvent(new Event("change"));
+  for (let i = 0; i < 10; i++) {
+    await flush();
+  }
+}
+
+/**
+ * Start the workout and let the 3-2-1 countdown run out
+ */
+async function startWorkout() {
+  click("startStop");
+  await advance(clock, 3000);
+}
+
+beforeAll(async () => {
+  loadPage();
+  localStorage.clear();
+  setClock(clock);
+  await import("../src/app.js");
+  await flush();
+});
+
+beforeEach(async () => {
+  click("reset");
+  changeSetting("workTime", 30);
+  changeSetting("restTime", 10);
+  changeSetting("rounds", 8);
+  changeSetting("sets", 1);
+  changeSetting("prepDuration", 3);
+  setPrepOption("beforeSets", false);
+  setPrepOption("beforeResume", false);
+  await flush();
+});
+
+describe("start and countdown", () => {
+  it("shows the first phase while idle", () => {
+    expect(state.status).toBe(TimerStatus.IDLE);
+    expect(text("phaseText")).toBe("Work");
+    expect(text("timeText")).toBe("00:30");
+    expect(text("startStop")).toBe("Start");
+    expect(text("phaseCount")).toBe("0/8");
+  });
+
+  it("counts down 3, 2, 1 in the get-ready colors before starting", async () => {
+    click("startStop");
+    expect(state.status).toBe(TimerStatus.COUNTDOWN);
+    expect(text("timeText")).toBe("3");
+    expect($("appContainer").classList).toContain("prep");
+
+    await advance(clock, 1000);
+    expect(text("timeText")).toBe("2");
+
+    await advance(clock, 2000);
+    expect(state.status).toBe(TimerStatus.RUNNING);
+    expect($("appContainer").classList).not.toContain("prep");
+    expect(text("startStop")).toBe("Pause");
+  });
+
+  it("cancels the countdown when clicked again", async () => {
+    click("startStop");
+    await advance(clock, 1500);
+    click("startStop");
+    await flush();
+
+    expect(state.status).toBe(TimerStatus.IDLE);
+    expect(text("startStop")).toBe("Start");
+    expect(text("timeText")).toBe("00:30");
+    expect($("appContainer").classList).not.toContain("prep");
+
+    await advance(clock, 3000);
+    expect(state.status).toBe(TimerStatus.IDLE);
+  });
+
+  it("leaves the get-ready state when reset during the countdown", async () => {
+    click("startStop");
+    await advance(clock, 1000);
+    click("reset");
+    await flush();
+
+    expect(state.status).toBe(TimerStatus.IDLE);
+    expect($("appContainer").classList).not.toContain("prep");
+    expect(text("timeText")).toBe("00:30");
+  });
+});
+
+describe("running workout", () => {
+  it("switches to the rest when the work phase ends", async () => {
+    await startWorkout();
+    await advance(clock, 30000, 500);
+
+    expect(text("phaseText")).toBe("Rest");
+    expect(text("phaseCount")).toBe("1/8");
+    expect($("appContainer").classList).toContain("rest");
+  });
+
+  it("pauses and resumes without another countdown", async () => {
+    await startWorkout();
+    await advance(clock, 5500, 500);
+    click("startStop");
+    await flush();
+    expect(state.status).toBe(TimerStatus.PAUSED);
+    expect(text("timeText")).toBe("00:25");
+
+    await advance(clock, 20000, 1000);
+    expect(text("timeText")).toBe("00:25");
+
+    click("startStop");
+    await flush();
+    expect(state.status).toBe(TimerStatus.RUNNING);
+    await advance(clock, 2000, 500);
+    expect(text("timeText")).toBe("00:23");
+  });
+
+  it("reschedules the sound cues when the work time changes", async () => {
+    await startWorkout();
+    await advance(clock, 10000);
+    const oscillator = state.audioContext.createOscillator();
+    const start = vi.spyOn(Object.getPrototypeOf(oscillator), "start");
+
+    changeSetting("workTime", 60);
+    // The rest cue moves to the new end of the phase, 50 s ahead
+    const startTimes = start.mock.calls.map(([at]) => at);
+    expect(Math.max(...startTimes)).toBeCloseTo(50);
+  });
+
+  it("toggles with the space bar", async () => {
+    await startWorkout();
+    document.body.dispatchEvent(
+      new KeyboardEvent("keydown", { key: " ", bubbles: true }),
+    );
+    await flush();
+
+    expect(state.status).toBe(TimerStatus.PAUSED);
+  });
+
+  it("skips to the next phase and adds time to it", async () => {
+    await startWorkout();
+    click("skipForward");
+    click("addTime");
+    await flush();
+
+    expect(text("phaseText")).toBe("Rest");
+    expect(text("timeText")).toBe("00:20");
+    expect(text("phaseAdjustment")).toBe("+00:10 adjusted");
+  });
+
+  it("finishes after the last phase", async () => {
+    changeSetting("workTime", 2);
+    changeSetting("restTime", 1);
+    changeSetting("rounds", 2);
+    await startWorkout();
+    await advance(clock, 5000, 500);
+
+    expect(state.status).toBe(TimerStatus.FINISHED);
+    expect(text("phaseText")).toBe("Done");
+    expect(text("phaseCount")).toBe("2/2");
+    expect(text("startStop")).toBe("Start");
+  });
+});
+
+describe("get-ready countdown", () => {
+  it("counts down for the configured time, filling the arc", async () => {
+    changeSetting("prepDuration", 10);
+    click("startStop");
+    expect(text("timeText")).toBe("10");
+    expect(document.querySelector(".arc-progress").getAttribute("d")).toBe("");
+
+    await advance(clock, 5000);
+    expect(state.status).toBe(TimerStatus.COUNTDOWN);
+    expect(text("timeText")).toBe("5");
+    expect(document.querySelector(".arc-progress").getAttribute("d")).not.toBe(
+      "",
+    );
+
+    await advance(clock, 5000);
+    expect(state.status).toBe(TimerStatus.RUNNING);
+    expect(text("timeText")).toBe("00:30");
+  });
+
+  it("starts right away without a countdown", async () => {
+    changeSetting("prepDuration", 0);
+    click("startStop");
+    await flush();
+
+    expect(state.status).toBe(TimerStatus.RUNNING);
+  });
+
+  it("counts down before resuming when enabled", async () => {
+    setPrepOption("beforeResume", true);
+    await startWorkout();
+    await advance(clock, 5000, 500);
+    click("startStop");
+    click("startStop");
+    await flush();
+
+    expect(state.status).toBe(TimerStatus.COUNTDOWN);
+    expect($("appContainer").classList).toContain("prep");
+    await advance(clock, 3000, 500);
+    expect(state.status).toBe(TimerStatus.RUNNING);
+    expect(text("timeText")).toBe("00:25");
+  });
+
+  it("goes back to paused when the resume countdown is cancelled", async () => {
+    setPrepOption("beforeResume", true);
+    await startWorkout();
+    click("startStop");
+    click("startStop");
+    await flush();
+    click("startStop");
+    await flush();
+
+    expect(state.status).toBe(TimerStatus.PAUSED);
+    expect($("appContainer").classList).not.toContain("prep");
+    expect(text("timeText")).toBe("00:30");
+  });
+
+  it("holds each further set for the countdown when enabled", async () => {
+    setPrepOption("beforeSets", true);
+    changeSetting("workTime", 2);
+    changeSetting("rounds", 1);
+    changeSetting("sets", 2);
+    changeSetting("setRestTime", 1);
+    await startWorkout();
+
+    await advance(clock, 3000, 500);
+    expect(state.status).toBe(TimerStatus.COUNTDOWN);
+    expect($("appContainer").classList).toContain("prep");
+    expect(text("phaseContext")).toContain("Set 2/2");
+
+    await advance(clock, 3000, 500);
+    expect(state.status).toBe(TimerStatus.RUNNING);
+    expect(text("timeText")).toBe("00:02");
+    await advance(clock, 2000, 500);
+    expect(state.status).toBe(TimerStatus.FINISHED);
+  });
+});
+
+describe("settings", () => {
+  // Undo the cue settings and the vibration support the tests change
+  afterEach(() => {
+    changeSetting("warningTicks", 3);
+    changeSetting("warningPulses", 3);
+    delete navigator.vibrate;
+  });
+
+  it("applies and remembers a changed work time while idle", () => {
+    changeSetting("workTime", 45);
+
+    expect(text("timeText")).toBe("00:45");
+    expect(
+      JSON.parse(localStorage.getItem("hiiting-time:currentConfig")).workTime,
+    ).toBe(45000);
+  });
+
+  it("reverts a setting out of range", () => {
+    changeSetting("rounds", 101);
+    expect($("rounds").value).toBe("8");
+    expect($("rounds").max).toBe("100");
+
+    changeSetting("workTime", 0);
+    expect($("workTime").value).toBe("30");
+    expect(text("phaseCount")).toBe("0/8");
+  });
+
+  it("pulses the last seconds independently of the warning ticks", async () => {
+    const vibrate = vi.fn();
+    navigator.vibrate = vibrate;
+    changeSetting("warningTicks", 0);
+    changeSetting("warningPulses", 2);
+    changeSetting("workTime", 5);
+    expect(
+      JSON.parse(localStorage.getItem("hiiting-time:settings")),
+    ).toMatchObject({
+      sound: { warningTicks: 0 },
+      vibration: { warningPulses: 2 },
+    });
+
+    await startWorkout();
+    vibrate.mockClear();
+    await advance(clock, 5000);
+    const pulses = vibrate.mock.calls.filter(
+      ([pattern]) => pattern === state.settings.vibration.patterns.warning,
+    );
+    expect(pulses).toHaveLength(2);
+  });
+
+  it("switches the language and remembers it", async () => {
+    click("showSettings");
+    $("language").value = "de";
+    $("language").dispatchEvent(new Event("change"));
+    // The German pack loads on first use
+    await vi.waitFor(() => expect(document.documentElement.lang).toBe("de"));
+
+    expect(text("phaseText")).toBe("Belastung");
+    expect(text("reset")).toBe("Zurücksetzen");
+    expect(
+      JSON.parse(localStorage.getItem("hiiting-time:settings")).language,
+    ).toEqual({ locale: "de" });
+
+    $("language").value = "en";
+    $("language").dispatchEvent(new Event("change"));
+    await flush();
+    click("closeSettings");
+    expect(text("phaseText")).toBe("Work");
+  });
+
+  it("keeps the pause button when switching during the countdown", async () => {
+    click("startStop");
+    try {
+      $("language").value = "de";
+      $("language").dispatchEvent(new Event("change"));
+      await vi.waitFor(() => expect(document.documentElement.lang).toBe("de"));
+      expect(text("startStop")).toBe("Pause");
+    } finally {
+      $("language").value = "en";
+      $("language").dispatchEvent(new Event("change"));
+      await flush();
+    }
+    expect(text("startStop")).toBe("Pause");
+  });
+});
+
+describe("plugins", () => {
+  it("receives the timer events of a workout", async () => {
+    changeSetting("workTime", 2);
+    changeSetting("restTime", 1);
+    changeSetting("rounds", 1);
+    const events = [];
+    const unregister = window.hiitingTime.registerPlugin({
+      name: "event-log",
+      setup({ on, TimerEvent }) {
+        for (const type of Object.values(TimerEvent)) {
+          if (type !== TimerEvent.TICK) {
+            on(type, () => events.push(type));
+          }
+        }
+      },
+    });
+
+    await startWorkout();
+    click("startStop");
+    click("startStop");
+    await advance(clock, 3000, 500);
+    unregister();
+
+    expect(events).toEqual([
+      "countdownTick",
+      "countdownTick",
+      "countdownTick",
+      "start",
+      "pause",
+      "resume",
+      "phaseEnd",
+      "finish",
+    ]);
+  });
+});
+
+describe("media session", () => {
+  const { mediaSession } = navigator;
+
+  it("plays while the timer runs, so media keys reach the page", async () => {
+    const play = vi.spyOn(HTMLMediaElement.prototype, "play");
+    click("startStop");
+    expect(mediaSession.playbackState).toBe("playing");
+    const track = play.mock.contexts[0];
+    expect(track.paused).toBe(false);
+    expect(track.loop).toBe(true);
+
+    await advance(clock, 3000);
+    expect(mediaSession.playbackState).toBe("playing");
+    expect(mediaSession.metadata.title).toBe("Work");
+
+    mediaSession.handlers.get("pause")();
+    expect(state.status).toBe(TimerStatus.PAUSED);
+    expect(mediaSession.playbackState).toBe("paused");
+    expect(track.paused).toBe(true);
+
+    mediaSession.handlers.get("play")();
+    await flush();
+    expect(mediaSession.playbackState).toBe("playing");
+    expect(track.paused).toBe(false);
+
+    click("reset");
+    expect(mediaSession.playbackState).toBe("none");
+    expect(track.paused).toBe(true);
+    play.mockRestore();
+  });
+});
+
+describe("import", () => {
+  it("gives each imported preset its own id", async () => {
+    await importFile(
+      createExport(
+        null,
+        [
+          { name: "Imported A", config: { ...CONFIG, rounds: 5 } },
+          { name: "Imported B", config: { ...CONFIG, rounds: 4 } },
+        ],
+        [],
+      ),
+    );
+    const imported = () =>
+      [...$("presetSelect").options]
+        .filter((option) => option.textContent.startsWith("Imported"))
+        .map((option) => option.textContent);
+    expect(imported()).toEqual(["Imported A", "Imported B"]);
+
+    const [first] = [...$("presetSelect").options].filter(
+      (option) => option.textContent === "Imported A",
+    );
+    $("presetSelect").value = first.value;
+    $("presetSelect").dispatchEvent(new Event("change"));
+    click("deletePreset");
+    expect(imported()).toEqual(["Imported B"]);
+  });
+});
@@ -0,0 +1,74 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import {
+  createManualClock,
+  setClock,
+  now,
+  setTimer,
+  clearTimer,
+  requestFrame,
+  cancelFrame,
+} from "../src/clock.js";
+
+afterEach(() => {
+  setClock(null);
+});
+
+describe("manual clock", () => {
+  it("only moves when advanced", () => {
+    const clock = createManualClock(500);
+    setClock(clock);
+    expect(now()).toBe(500);
+    clock.advance(250);
+    expect(now()).toBe(750);
+  });
+
+  it("runs timers in time order at the time they are due", () => {
+    const clock = createManualClock();
+    setClock(clock);
+    const calls = [];
+    setTimer(() => calls.push(["b", now()]), 200);
+    setTimer(() => calls.push(["a", now()]), 100);
+    const cancelled = setTimer(() => calls.push(["c", now()]), 150);
+    clearTimer(cancelled);
+
+    clock.advance(150);
+    expect(calls).toEqual([["a", 100]]);
+    clock.advance(50);
+    expect(calls).toEqual([
+      ["a", 100],
+      ["b", 200],
+    ]);
+    expect(now()).toBe(200);
+  });
+
+  it("runs timers scheduled by other timers within the same advance", () => {
+    const clock = createManualClock();
+    setClock(clock);
+    const onSecond = vi.fn();
+    setTimer(() => setTimer(onSecond, 100), 100);
+
+    clock.advance(250);
+    expect(onSecond).toHaveBeenCalledOnce();
+    expect(clock.pending()).toBe(0);
+  });
+
+  it("runs a frame loop at 60 frames per second with the clock time", () => {
+    const clock = createManualClock();
+    setClock(clock);
+    const times = [];
+    let frameId = null;
+    const frame = (time) => {
+      times.push(time);
+      frameId = requestFrame(frame);
+    };
+    frameId = requestFrame(frame);
+
+    clock.advance(1000);
+    expect(times).toHaveLength(60);
+    expect(times[0]).toBeCloseTo(1000 / 60);
+
+    cancelFrame(frameId);
+    clock.advance(1000);
+    expect(times).toHaveLength(60);
+  });
+});
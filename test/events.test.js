@@ -0,0 +1,50 @@
+import { describe, expect, it, vi } from "vitest";
+import { emit, off, on, TimerEvent } from "../src/events.js";
+
+describe("timer events", () => {
+  it("calls the listeners of a type in the order they were added", () => {
+    const calls = [];
+    const first = on(TimerEvent.PAUSE, (detail) => calls.push(["a", detail]));
+    const second = on(TimerEvent.PAUSE, (detail) => calls.push(["b", detail]));
+    on(TimerEvent.RESUME, () => calls.push(["other"]));
+
+    emit(TimerEvent.PAUSE, { elapsed: 1000, totalTime: 30000 });
+    expect(calls).toEqual([
+      ["a", { elapsed: 1000, totalTime: 30000 }],
+      ["b", { elapsed: 1000, totalTime: 30000 }],
+    ]);
+
+    first();
+    second();
+  });
+
+  it("stops calling a listener once removed", () => {
+    const listener = vi.fn();
+    const unsubscribe = on(TimerEvent.TICK, listener);
+    emit(TimerEvent.TICK, { elapsed: 0, totalTime: 1000 });
+    unsubscribe();
+    emit(TimerEvent.TICK, { elapsed: 100, totalTime: 1000 });
+
+    on(TimerEvent.TICK, listener);
+    off(TimerEvent.TICK, listener);
+    emit(TimerEvent.TICK, { elapsed: 200, totalTime: 1000 });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it("keeps calling the other listeners when one throws", () => {
+    const error = vi.spyOn(console, "error").mockImplementation(() => {});
+    const listener = vi.fn();
+    const failing = on(TimerEvent.FINISH, () => {
+      throw new Error("broken");
+    });
+    const working = on(TimerEvent.FINISH, listener);
+
+    emit(TimerEvent.FINISH, { phaseCount: 8, sessionElapsed: 240000 });
+
+    expect(listener).toHaveBeenCalledOnce();
+    expect(error).toHaveBeenCalledOnce();
+    failing();
+    working();
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Shared test helpers: a workout config, loading the page and stepping a
+ * manual clock
+ */
+
+import { readFileSync } from "node:fs";
+import { join } from "node:path";
+
+/**
+ * Complete workout config, as stored and exported
+ * Eight rounds of 20 s work and 10 s rest
+ */
+export const CONFIG = {
+  workTime: 20000,
+  restTime: 10000,
+  rounds: 8,
+  sets: 1,
+  setRestTime: 60000,
+  warmupTime: 0,
+  cooldownTime: 0,
+  countdownTime: 300000,
+  mode: "interval",
+  exercises: [],
+};
+
+const PAGE = readFileSync(
+  join(import.meta.dirname, "../src/index.html"),
+  "utf8",
+);
+
+/**
+ * Replace the document with the app's page, without running its scripts
+ */
+export function loadPage() {
+  const page = new DOMParser().parseFromString(PAGE, "text/html");
+  document.documentElement.replaceWith(
+    document.importNode(page.documentElement, true),
+  );
+}
+
+/**
+ * Let pending promise callbacks and real zero-delay timers run
+ * @returns {Promise<void>} Resolves once they have run
+ */
+export function flush() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+/**
+ * Advance a manual clock in small steps, letting async code run in between
+ * Code awaiting a clock timer (like the countdown) continues after each step
+ * @param {ReturnType<import("../src/clock.js").createManualClock>} clock - Manual clock
+ * @param {number} ms - Time to advance, in milliseconds
+ * @param {number} step - Largest single step (default: 100)
+ */
+export async function advance(clock, ms, step = 100) {
+  for (let passed = 0; passed < ms; passed += step) {
+    clock.advance(Math.min(step, ms - passed));
+    await flush();
+  }
+}
@@ -0,0 +1,27 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { getLocale, setLocale, t } from "../src/i18n.js";
+
+afterEach(async () => {
+  await setLocale("en");
+});
+
+describe("locale packs", () => {
+  it("fetches the pack of a language when it is picked", async () => {
+    await setLocale("de");
+
+    expect(getLocale()).toBe("de");
+    expect(document.documentElement.lang).toBe("de");
+    expect(t("step.work")).toBe("Belastung");
+  });
+
+  it("falls back to English when a pack can't be loaded", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    vi.spyOn(globalThis, "fetch").mockResolvedValue(
+      new Response(null, { status: 404 }),
+    );
+    await setLocale("de");
+
+    expect(getLocale()).toBe("en");
+    expect(t("step.work")).toBe("Work");
+  });
+});
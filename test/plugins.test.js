@@ -0,0 +1,140 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { emit, TimerEvent } from "../src/events.js";
+import { initPlugins, registerPlugin } from "../src/plugins.js";
+import { createWebhookPlugin } from "../src/plugins/webhook.js";
+
+const unregisters = [];
+
+/**
+ * Register a plugin that is removed again after the test
+ * @param {import("../src/plugins.js").Plugin} plugin - Plugin to register
+ */
+function register(plugin) {
+  unregisters.push(registerPlugin(plugin));
+}
+
+afterEach(() => {
+  unregisters.splice(0).forEach((unregister) => unregister());
+  delete window.hiitingTimePlugins;
+});
+
+const step = {
+  name: "Work",
+  note: "",
+  kind: "work",
+  duration: 20000,
+  isWork: true,
+};
+
+describe("plugins", () => {
+  it("subscribes a plugin to the timer events", () => {
+    const listener = vi.fn();
+    register({
+      name: "recorder",
+      setup({ on, TimerEvent }) {
+        on(TimerEvent.RESET, listener);
+      },
+    });
+
+    emit(TimerEvent.RESET, {});
+    expect(listener).toHaveBeenCalledOnce();
+  });
+
+  it("removes the listeners and runs the cleanup when unregistered", () => {
+    const listener = vi.fn();
+    const cleanup = vi.fn();
+    const unregister = registerPlugin({
+      name: "temporary",
+      setup({ on, TimerEvent }) {
+        on(TimerEvent.RESET, listener);
+        return cleanup;
+      },
+    });
+
+    unregister();
+    emit(TimerEvent.RESET, {});
+
+    expect(listener).not.toHaveBeenCalled();
+    expect(cleanup).toHaveBeenCalledOnce();
+    // The name is free again
+    register({ name: "temporary", setup() {} });
+  });
+
+  it("rejects malformed plugins and taken names", () => {
+    expect(() => registerPlugin({ setup() {} })).toThrow("needs a name");
+    expect(() => registerPlugin({ name: "empty" })).toThrow("no setup");
+
+    register({ name: "twice", setup() {} });
+    expect(() => registerPlugin({ name: "twice", setup() {} })).toThrow(
+      "already registered",
+    );
+  });
+
+  it("registers the plugins queued before startup and exposes the API", () => {
+    const error = vi.spyOn(console, "error").mockImplementation(() => {});
+    const setup = vi.fn();
+    window.hiitingTimePlugins = [
+      { name: "queued", setup },
+      {
+        name: "broken",
+        setup: () => {
+          throw new Error("broken");
+        },
+      },
+    ];
+
+    initPlugins();
+
+    expect(setup).toHaveBeenCalledOnce();
+    expect(error).toHaveBeenCalledOnce();
+    expect(window.hiitingTime.TimerEvent).toBe(TimerEvent);
+    // The broken plugin isn't left registered
+    register({ name: "broken", setup() {} });
+    register({ name: "late", setup() {} });
+    expect(() =>
+      window.hiitingTime.registerPlugin({ name: "late", setup() {} }),
+    ).toThrow("already registered");
+  });
+});
+
+describe("webhook plugin", () => {
+  it("posts every phase and the finish", () => {
+    const fetchFn = vi.fn(() => Promise.resolve(new Response()));
+    register(createWebhookPlugin("http://localhost:8080/hook", fetchFn));
+
+    emit(TimerEvent.START, {
+      step,
+      nextStep: null,
+      index: 0,
+      totalTime: 20000,
+      isRunning: true,
+    });
+    emit(TimerEvent.FINISH, { phaseCount: 1, sessionElapsed: 20000 });
+
+    expect(fetchFn).toHaveBeenCalledTimes(2);
+    const [url, options] = fetchFn.mock.calls[0];
+    expect(url).toBe("http://localhost:8080/hook");
+    expect(options.method).toBe("POST");
+    expect(JSON.parse(options.body)).toMatchObject({
+      event: "phase",
+      index: 0,
+      name: "Work",
+      isWork: true,
+      duration: 20000,
+    });
+    expect(JSON.parse(fetchFn.mock.calls[1][1].body)).toMatchObject({
+      event: "finish",
+      phaseCount: 1,
+      sessionElapsed: 20000,
+    });
+  });
+
+  it("logs failed requests without throwing", async () => {
+    const error = vi.spyOn(console, "error").mockImplementation(() => {});
+    const fetchFn = vi.fn(() => Promise.reject(new TypeError("offline")));
+    register(createWebhookPlugin("http://localhost:8080/hook", fetchFn));
+
+    emit(TimerEvent.FINISH, { phaseCount: 0, sessionElapsed: 0 });
+    await vi.waitFor(() => expect(error).toHaveBeenCalledOnce());
+  });
+});
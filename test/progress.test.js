@@ -0,0 +1,28 @@
+import { describe, expect, it } from "vitest";
+import { createProgressTracker } from "../src/progress.js";
+import { LATE_CUE_TOLERANCE } from "../src/config.js";
+
+describe("progress tracker", () => {
+  it("passes each point once, on the way to the elapsed time", () => {
+    const progress = createProgressTracker();
+
+    expect(progress.advance(900)(1000)).toBe(false);
+    expect(progress.advance(1100)(1000)).toBe(true);
+    expect(progress.advance(1200)(1000)).toBe(false);
+  });
+
+  it("skips points noticed too late", () => {
+    const progress = createProgressTracker();
+
+    expect(progress.advance(1000 + LATE_CUE_TOLERANCE)(1000)).toBe(false);
+  });
+
+  it("doesn't pass the points before a synced position", () => {
+    const progress = createProgressTracker();
+    progress.sync(1500);
+
+    expect(progress.advance(1600)(1000)).toBe(false);
+    progress.sync(0);
+    expect(progress.advance(1100)(1000)).toBe(true);
+  });
+});
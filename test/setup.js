@@ -0,0 +1,146 @@
+/**
+ * Browser APIs jsdom doesn't have, reduced to what the app touches
+ */
+
+import "fake-indexeddb/auto";
+import { readFile } from "node:fs/promises";
+import { join } from "node:path";
+import { vi } from "vitest";
+import { DEFAULT_LOCALE, setLocale } from "../src/i18n.js";
+
+/**
+ * Audio parameter that accepts automation and ignores it
+ */
+class FakeAudioParam {
+  value = 0;
+  setValueAtTime() {}
+  linearRampToValueAtTime() {}
+  exponentialRampToValueAtTime() {}
+  cancelScheduledValues() {}
+}
+
+/**
+ * Audio node that can be connected, started and stopped
+ */
+class FakeAudioNode {
+  gain = new FakeAudioParam();
+  frequency = new FakeAudioParam();
+  detune = new FakeAudioParam();
+  Q = new FakeAudioParam();
+  connect(node) {
+    return node;
+  }
+  disconnect() {}
+  start() {}
+  stop() {}
+  addEventListener() {}
+}
+
+/**
+ * Silent audio context with a clock that stays at 0
+ */
+class FakeAudioContext {
+  currentTime = 0;
+  sampleRate = 44100;
+  state = "running";
+  destination = new FakeAudioNode();
+  createGain() {
+    return new FakeAudioNode();
+  }
+  createOscillator() {
+    return new FakeAudioNode();
+  }
+  createBiquadFilter() {
+    return new FakeAudioNode();
+  }
+  createBufferSource() {
+    return new FakeAudioNode();
+  }
+  createBuffer(channels, length) {
+    return { getChannelData: () => new Float32Array(length) };
+  }
+  resume() {
+    return Promise.resolve();
+  }
+}
+
+vi.stubGlobal("AudioContext", FakeAudioContext);
+
+// jsdom files can only be read with a FileReader
+Blob.prototype.text ??= function () {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(this);
+  });
+};
+
+// jsdom has <dialog> without the modal methods
+HTMLDialogElement.prototype.showModal ??= function () {
+  this.open = true;
+};
+HTMLDialogElement.prototype.close ??= function () {
+  this.open = false;
+  this.dispatchEvent(new Event("close"));
+};
+
+// jsdom media elements can't play, track whether they would
+const playing = new WeakSet();
+Object.defineProperty(HTMLMediaElement.prototype, "paused", {
+  configurable: true,
+  get() {
+    return !playing.has(this);
+  },
+});
+HTMLMediaElement.prototype.play = function () {
+  playing.add(this);
+  return Promise.resolve();
+};
+HTMLMediaElement.prototype.pause = function () {
+  playing.delete(this);
+};
+
+/**
+ * Media session that keeps the action handlers, so tests can press media keys
+ */
+class FakeMediaSession {
+  metadata = null;
+  playbackState = "none";
+  handlers = new Map();
+  setActionHandler(action, handler) {
+    this.handlers.set(action, handler);
+  }
+  setPositionState() {}
+}
+
+vi.stubGlobal(
+  "MediaMetadata",
+  class {
+    constructor(init) {
+      Object.assign(this, init);
+    }
+  },
+);
+Object.defineProperty(navigator, "mediaSession", {
+  configurable: true,
+  value: new FakeMediaSession(),
+});
+
+// Node can't fetch files, serve the app's own (the locale packs) from disk.
+// Vite resolves their URLs from the project root, like its dev server.
+const ROOT = join(import.meta.dirname, "..");
+const fetchNetwork = globalThis.fetch;
+vi.stubGlobal("fetch", async (resource, options) => {
+  const url = new URL(resource instanceof Request ? resource.url : resource);
+  if (url.protocol !== "file:") return fetchNetwork(resource, options);
+
+  try {
+    return new Response(await readFile(join(ROOT, url.pathname)));
+  } catch {
+    return new Response(null, { status: 404 });
+  }
+});
+
+// The app loads its messages on startup, tests of single modules need them too
+await setLocale(DEFAULT_LOCALE);
@@ -0,0 +1,35 @@
+import { describe, expect, it } from "vitest";
+import { createShareLink, readShareLink } from "../src/share.js";
+import { CONFIG } from "./helpers.js";
+
+/**
+ * Read back a link made for a config
+ * @param {Object} config - Workout config
+ * @returns {import("../src/share.js").SharedWorkout} Result of reading the link
+ */
+function roundTrip(config) {
+  const link = createShareLink(config, "https://example.com/");
+  return readShareLink(new URL(link).hash);
+}
+
+describe("share links", () => {
+  it("loads the workout of a link", () => {
+    expect(roundTrip(CONFIG)).toEqual({ config: CONFIG, error: null });
+  });
+
+  it("rejects a workout too big to build", () => {
+    for (const oversized of [
+      { rounds: 1000000000 },
+      { sets: 21 },
+      { workTime: 3 * 60 * 60 * 1000 + 1000 },
+      {
+        exercises: [{ name: "Plank", note: "", duration: 24 * 60 * 60 * 1000 }],
+      },
+    ]) {
+      expect(roundTrip({ ...CONFIG, ...oversized })).toEqual({
+        config: null,
+        error: "The workout in this link is invalid.",
+      });
+    }
+  });
+});
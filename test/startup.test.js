@@ -0,0 +1,62 @@
+import { beforeAll, describe, expect, it } from "vitest";
+import { state, TimerStatus } from "../src/state.js";
+import { createShareLink } from "../src/share.js";
+import { getEntries } from "../src/history.js";
+import { CONFIG, flush, loadPage } from "./helpers.js";
+
+const SHARED_CONFIG = { ...CONFIG, workTime: 45000 };
+
+describe("opening a shared link with a session to resume", () => {
+  const savedAt = Date.now() - 60000;
+
+  beforeAll(async () => {
+    loadPage();
+    localStorage.clear();
+    localStorage.setItem(
+      "hiiting-time:session",
+      JSON.stringify({
+        savedAt,
+        status: TimerStatus.PAUSED,
+        stepIndex: 2,
+        phaseStartedAt: null,
+        elapsed: 5000,
+        phaseCount: 1,
+        adjustments: {},
+        extendedSteps: [],
+        laps: [],
+        config: CONFIG,
+        record: {
+          startedAt: savedAt - 45000,
+          config: CONFIG,
+          workTime: 30000,
+          restTime: 10000,
+          pauseCount: 1,
+          pauseDuration: 0,
+          pausedAt: savedAt,
+        },
+      }),
+    );
+    history.replaceState(null, "", createShareLink(SHARED_CONFIG));
+    await import("../src/app.js");
+    await flush();
+  });
+
+  it("loads the shared workout", () => {
+    expect(state.status).toBe(TimerStatus.IDLE);
+    expect(document.getElementById("timeText").textContent).toBe("00:45");
+    expect(localStorage.getItem("hiiting-time:session")).toBeNull();
+  });
+
+  it("logs the unfinished session as abandoned", async () => {
+    const [entry] = await getEntries();
+    expect(entry).toMatchObject({
+      startedAt: savedAt - 45000,
+      config: CONFIG,
+      workTime: 35000,
+      restTime: 10000,
+      pauseCount: 1,
+      phaseCount: 1,
+      completed: false,
+    });
+  });
+});
@@ -0,0 +1,336 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { state, TimerStatus } from "../src/state.js";
+import * as timer from "../src/timer.js";
+import { createManualClock, setClock } from "../src/clock.js";
+import { ADJUST_CONFIG } from "../src/config.js";
+import { DEFAULT_SETTINGS } from "../src/settings.js";
+import { flush } from "./helpers.js";
+
+// Three rounds of 20 s work and 10 s rest: work, rest, work, rest, work
+const CONFIG = {
+  workTime: 20000,
+  restTime: 10000,
+  rounds: 3,
+  sets: 1,
+  setRestTime: 60000,
+  warmupTime: 0,
+  cooldownTime: 0,
+};
+
+let clock;
+
+/**
+ * Move to the next phase, or finish after the last one, like the app does
+ */
+function completePhase() {
+  if (timer.isLastStep()) {
+    timer.finish();
+  } else {
+    timer.switchPhase();
+  }
+}
+
+beforeEach(() => {
+  clock = createManualClock(1000);
+  setClock(clock);
+  timer.applyConfig(CONFIG);
+  timer.reset();
+});
+
+afterEach(() => {
+  timer.reset();
+  setClock(null);
+});
+
+describe("switchPhase", () => {
+  it("moves from work to rest and counts the work phase", () => {
+    timer.switchPhase();
+
+    expect(state.stepIndex).toBe(1);
+    expect(state.isWorkPhase).toBe(false);
+    expect(state.totalTime).toBe(CONFIG.restTime);
+    expect(state.phaseCount).toBe(1);
+  });
+
+  it("doesn't count rests", () => {
+    timer.switchPhase();
+    timer.switchPhase();
+
+    expect(state.isWorkPhase).toBe(true);
+    expect(state.totalTime).toBe(CONFIG.workTime);
+    expect(state.phaseCount).toBe(1);
+  });
+
+  it("starts the next phase at the scheduled boundary, not when processed", () => {
+    timer.start();
+    clock.advance(CONFIG.workTime + 300);
+    timer.tick(completePhase);
+
+    expect(state.stepIndex).toBe(1);
+    expect(timer.getElapsed()).toBe(300);
+  });
+
+  it("catches up on every boundary missed in one tick", () => {
+    timer.start();
+    clock.advance(45000);
+    const onPhaseComplete = vi.fn(completePhase);
+    timer.tick(onPhaseComplete);
+
+    expect(onPhaseComplete).toHaveBeenCalledTimes(2);
+    expect(state.stepIndex).toBe(2);
+    expect(timer.getElapsed()).toBe(15000);
+    expect(state.phaseCount).toBe(1);
+  });
+
+  it("finishes after the last work phase without a trailing rest", () => {
+    timer.start();
+    clock.advance(100000);
+    timer.tick(completePhase);
+
+    expect(state.status).toBe(TimerStatus.FINISHED);
+    expect(state.phaseCount).toBe(3);
+    expect(state.stepIndex).toBe(4);
+  });
+});
+
+describe("pause and resume", () => {
+  it("freezes the elapsed time while paused", () => {
+    timer.start();
+    clock.advance(5000);
+    timer.pause();
+    clock.advance(60000);
+
+    expect(state.status).toBe(TimerStatus.PAUSED);
+    expect(timer.getElapsed()).toBe(5000);
+  });
+
+  it("continues where it paused and adds up the pauses", () => {
+    timer.start();
+    clock.advance(5000);
+    timer.pause();
+    clock.advance(60000);
+    timer.start();
+    clock.advance(2000);
+    timer.pause();
+    clock.advance(3000);
+    timer.start();
+    clock.advance(1000);
+
+    expect(timer.getElapsed()).toBe(8000);
+    expect(state.pausedTotal).toBe(63000);
+  });
+
+  it("keeps phase boundaries on schedule across a pause", () => {
+    timer.start();
+    clock.advance(15000);
+    timer.pause();
+    clock.advance(30000);
+    timer.start();
+    clock.advance(5000);
+    timer.tick(completePhase);
+
+    expect(state.stepIndex).toBe(1);
+    expect(timer.getElapsed()).toBe(0);
+  });
+
+  it("restores a saved session as paused at the saved position", () => {
+    timer.restore(CONFIG, 2, 7000, 1);
+
+    expect(state.status).toBe(TimerStatus.PAUSED);
+    expect(state.stepIndex).toBe(2);
+    expect(state.phaseCount).toBe(1);
+    clock.advance(10000);
+    expect(timer.getElapsed()).toBe(7000);
+
+    timer.start();
+    clock.advance(1000);
+    expect(timer.getElapsed()).toBe(8000);
+  });
+});
+
+describe("adjustments", () => {
+  it("adds time to the current phase and shifts the later ones", () => {
+    timer.start();
+    clock.advance(5000);
+    timer.adjustTime(10000);
+
+    expect(state.totalTime).toBe(30000);
+    expect(timer.getElapsed()).toBe(5000);
+    expect(timer.getSessionDuration()).toBe(90000);
+  });
+
+  it("never ends a phase sooner than the minimum remaining time", () => {
+    timer.start();
+    clock.advance(5000);
+    const applied = timer.adjustTime(-60000);
+
+    expect(state.totalTime).toBe(5000 + ADJUST_CONFIG.minRemaining);
+    expect(applied).toBe(
+      -(CONFIG.workTime - 5000 - ADJUST_CONFIG.minRemaining),
+    );
+  });
+
+  it("extends each rest only once", () => {
+    timer.start();
+    timer.switchPhase();
+
+    expect(timer.extendRest()).toBe(true);
+    expect(timer.extendRest()).toBe(false);
+    expect(state.totalTime).toBe(CONFIG.restTime + ADJUST_CONFIG.restExtension);
+  });
+});
+
+describe("countdown", () => {
+  it("counts 3, 2, 1 a second apart and resolves to true", async () => {
+    const counts = [];
+    const done = timer.countdown(3, (count) =>
+      counts.push([count, clock.now()]),
+    );
+
+    expect(state.status).toBe(TimerStatus.COUNTDOWN);
+    for (let i = 0; i < 3; i++) {
+      clock.advance(1000);
+      await flush();
+    }
+
+    await expect(done).resolves.toBe(true);
+    expect(counts).toEqual([
+      [3, 1000],
+      [2, 2000],
+      [1, 3000],
+    ]);
+  });
+
+  it("resolves to false without further ticks when cancelled", async () => {
+    const onTick = vi.fn();
+    const done = timer.countdown(3, onTick);
+    clock.advance(1000);
+    await flush();
+    timer.cancelCountdown();
+
+    await expect(done).resolves.toBe(false);
+    expect(state.status).toBe(TimerStatus.IDLE);
+    clock.advance(5000);
+    await flush();
+    expect(onTick).toHaveBeenCalledTimes(2);
+    expect(clock.pending()).toBe(0);
+  });
+
+  it("resolves to false when the timer is reset during the last number", async () => {
+    const done = timer.countdown(3);
+    clock.advance(2000);
+    await flush();
+    clock.advance(500);
+    timer.reset();
+
+    await expect(done).resolves.toBe(false);
+    expect(state.status).toBe(TimerStatus.IDLE);
+  });
+
+  it("counts down any number of seconds", async () => {
+    const onTick = vi.fn();
+    const done = timer.countdown(12, onTick);
+    for (let i = 0; i < 12; i++) {
+      clock.advance(1000);
+      await flush();
+    }
+
+    await expect(done).resolves.toBe(true);
+    expect(onTick.mock.calls.map(([count]) => count)).toEqual([
+      12, 11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1,
+    ]);
+  });
+
+  it("stays paused when cancelled during a workout", async () => {
+    timer.start();
+    clock.advance(5000);
+    timer.pause();
+
+    const done = timer.countdown(3);
+    timer.cancelCountdown();
+
+    await expect(done).resolves.toBe(false);
+    expect(state.status).toBe(TimerStatus.PAUSED);
+    expect(timer.getElapsed()).toBe(5000);
+  });
+});
+
+describe("get-ready before sets", () => {
+  beforeEach(() => {
+    state.settings = structuredClone(DEFAULT_SETTINGS);
+    state.settings.prep.beforeSets = true;
+    // Warm-up, then 2 sets of work, rest, work with a set rest between
+    timer.applyConfig({ ...CONFIG, rounds: 2, sets: 2, warmupTime: 5000 });
+    timer.reset();
+  });
+
+  afterEach(() => {
+    state.settings = null;
+    timer.applyConfig(CONFIG);
+  });
+
+  it("holds the first step of every set that doesn't start the workout", () => {
+    const held = state.steps
+      .map((_, index) => index)
+      .filter((index) => timer.hasPrepBefore(index));
+    const names = state.steps.map((step) => step.kind);
+
+    expect(names).toEqual([
+      "warmup",
+      "work",
+      "rest",
+      "work",
+      "setRest",
+      "work",
+      "rest",
+      "work",
+    ]);
+    expect(held).toEqual([1, 5]);
+  });
+
+  it("holds nothing when disabled or without a countdown", () => {
+    state.settings.prep.duration = 0;
+    expect(timer.hasPrepBefore(5)).toBe(false);
+
+    state.settings.prep.duration = 3;
+    state.settings.prep.beforeSets = false;
+    expect(timer.hasPrepBefore(5)).toBe(false);
+  });
+
+  it("holds a step at its start even when the switch is late", () => {
+    timer.start();
+    clock.advance(5000 + 400);
+    timer.switchPhase();
+    timer.holdAtStepStart();
+
+    expect(state.status).toBe(TimerStatus.PAUSED);
+    expect(timer.getElapsed()).toBe(0);
+    clock.advance(3000);
+    timer.start();
+    clock.advance(1000);
+    expect(timer.getElapsed()).toBe(1000);
+  });
+});
+
+describe("animation loop", () => {
+  it("reports every frame and switches phases without the ticker", () => {
+    const onUpdate = vi.fn();
+    timer.start();
+    timer.startAnimationLoop(onUpdate, completePhase);
+    clock.advance(CONFIG.workTime + 1000);
+
+    expect(onUpdate).toHaveBeenCalled();
+    expect(onUpdate.mock.lastCall[1]).toBe(CONFIG.restTime);
+    expect(state.stepIndex).toBe(1);
+  });
+
+  it("stops scheduling frames when paused", () => {
+    timer.start();
+    timer.startAnimationLoop(vi.fn(), completePhase);
+    clock.advance(1000);
+    timer.pause();
+
+    expect(state.animationFrameId).toBe(null);
+    expect(clock.pending()).toBe(0);
+  });
+});
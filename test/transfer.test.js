@@ -0,0 +1,86 @@
+import { describe, expect, it } from "vitest";
+import { createExport, parseImport, planImport } from "../src/transfer.js";
+import { BUILT_IN_PRESETS } from "../src/presets.js";
+import { CONFIG } from "./helpers.js";
+
+const SESSION = {
+  id: 1,
+  startedAt: 1760000000000,
+  endedAt: 1760000240000,
+  config: CONFIG,
+  workTime: 160000,
+  restTime: 70000,
+  pauseCount: 0,
+  pauseDuration: 0,
+  phaseCount: 8,
+  completed: true,
+};
+
+/**
+ * Build the export file of some data
+ * @param {Object} config - Current config
+ * @param {Object[]} presets - User presets
+ * @param {Object[]} sessions - History entries
+ * @returns {string} JSON text
+ */
+function exportText(config, presets = [], sessions = []) {
+  return JSON.stringify(createExport(config, presets, sessions));
+}
+
+describe("JSON import", () => {
+  it("reads back an export", () => {
+    const { data, errors } = parseImport(
+      exportText(CONFIG, [{ name: "Tabata", config: CONFIG }], [SESSION]),
+    );
+
+    expect(errors).toEqual([]);
+    expect(data.config).toEqual(CONFIG);
+    expect(data.presets).toEqual([{ name: "Tabata", config: CONFIG }]);
+    const { id, ...session } = SESSION;
+    expect(data.sessions).toEqual([session]);
+  });
+
+  it("reports configs too big to build", () => {
+    const oversized = { ...CONFIG, rounds: 1000000000 };
+    const { data, errors } = parseImport(
+      exportText(
+        oversized,
+        [
+          { name: "Fine", config: CONFIG },
+          { name: "Endless", config: { ...CONFIG, sets: 1000 } },
+        ],
+        [SESSION, { ...SESSION, config: oversized }],
+      ),
+    );
+
+    expect(data).toBeNull();
+    expect(errors).toEqual([
+      "The workout settings are invalid.",
+      "The preset at position 2 is invalid.",
+      "The session at position 2 is invalid.",
+    ]);
+  });
+});
+
+describe("import plan", () => {
+  it("matches preset names in any case and leaves the templates alone", () => {
+    const mine = {
+      id: "user:1",
+      name: "My HIIT",
+      builtIn: false,
+      config: CONFIG,
+    };
+    const { data } = parseImport(
+      exportText(null, [
+        { name: "tabata", config: { ...CONFIG, rounds: 4 } },
+        { name: "my hiit", config: { ...CONFIG, rounds: 6 } },
+        { name: "New", config: CONFIG },
+      ]),
+    );
+
+    const plan = planImport(data, [...BUILT_IN_PRESETS, mine], []);
+    expect(plan.templatePresets).toEqual(["tabata"]);
+    expect(plan.conflictingPresets).toEqual(["my hiit"]);
+    expect(plan.newPresets.map((preset) => preset.name)).toEqual(["New"]);
+  });
+});
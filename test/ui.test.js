@@ -0,0 +1,66 @@
+import { describe, expect, it } from "vitest";
+import { createArcPath, formatTime } from "../src/ui.js";
+
+/**
+ * Read the end point of the arc in a pie slice path
+ * @param {string} path - Path from createArcPath
+ * @returns {number[]} x and y of the end point
+ */
+function arcEnd(path) {
+  const [, x, y] = path.match(/ ([\d.]+),([\d.]+) Z$/);
+  return [Number(x), Number(y)];
+}
+
+describe("createArcPath", () => {
+  it("is empty without progress", () => {
+    expect(createArcPath(0)).toBe("");
+    expect(createArcPath(-0.2)).toBe("");
+    expect(createArcPath(NaN)).toBe("");
+  });
+
+  it("starts at the top and sweeps clockwise", () => {
+    const [x, y] = arcEnd(createArcPath(0.25));
+    expect(x).toBeCloseTo(190);
+    expect(y).toBeCloseTo(100);
+  });
+
+  it("uses the large arc only past halfway", () => {
+    expect(createArcPath(0.5)).toContain(" 0 0,1 ");
+    expect(createArcPath(0.51)).toContain(" 0 1,1 ");
+  });
+
+  it("draws a tiny slice for tiny progress", () => {
+    const [x, y] = arcEnd(createArcPath(1e-6));
+    expect(x).toBeGreaterThan(100);
+    expect(y).toBeCloseTo(10);
+  });
+
+  it("closes the circle at and beyond the end", () => {
+    const full = createArcPath(1);
+    expect(full).toBe("M 100,100 L 100,10 A 90,90 0 1,1 100,10.01 Z");
+    expect(createArcPath(0.99995)).toBe(full);
+    expect(createArcPath(1.5)).toBe(full);
+  });
+});
+
+describe("formatTime", () => {
+  it("rounds up to the second", () => {
+    expect(formatTime(0)).toBe("00:00");
+    expect(formatTime(1)).toBe("00:01");
+    expect(formatTime(59001)).toBe("01:00");
+  });
+
+  it("never shows negative times", () => {
+    expect(formatTime(-1500)).toBe("00:00");
+  });
+
+  it("adds hours from one hour on", () => {
+    expect(formatTime(3600000)).toBe("1:00:00");
+    expect(formatTime(3661000)).toBe("1:01:01");
+  });
+
+  it("shows tenths on request", () => {
+    expect(formatTime(9401, true)).toBe("00:09.5");
+    expect(formatTime(10000, true)).toBe("00:10.0");
+  });
+});
@@ -0,0 +1,54 @@
+import { afterAll, beforeAll, describe, expect, it, vi } from "vitest";
+import { releaseWakeLock, requestWakeLock } from "../src/wakelock.js";
+
+/**
+ * Wake lock API whose requests resolve when the test says so
+ */
+const wakeLock = {
+  locks: [],
+  grants: [],
+  request: vi.fn(
+    () =>
+      new Promise((resolve) => {
+        const lock = new EventTarget();
+        lock.release = vi.fn(async () => {
+          lock.released = true;
+        });
+        wakeLock.locks.push(lock);
+        wakeLock.grants.push(() => resolve(lock));
+      }),
+  ),
+};
+
+beforeAll(() => {
+  navigator.wakeLock = wakeLock;
+});
+
+afterAll(() => {
+  delete navigator.wakeLock;
+});
+
+describe("wake lock", () => {
+  it("shares one request between callers and releases its lock", async () => {
+    const first = requestWakeLock();
+    const second = requestWakeLock();
+    wakeLock.grants.shift()();
+    await Promise.all([first, second]);
+
+    expect(wakeLock.request).toHaveBeenCalledTimes(1);
+    const [lock] = wakeLock.locks;
+    expect(lock.released).toBeUndefined();
+
+    await releaseWakeLock();
+    expect(lock.released).toBe(true);
+  });
+
+  it("lets go of a lock granted after it was released", async () => {
+    const request = requestWakeLock();
+    await releaseWakeLock();
+    wakeLock.grants.shift()();
+    await request;
+
+    expect(wakeLock.locks.at(-1).released).toBe(true);
+  });
+});
@@ -0,0 +1,15 @@
+/**
+ * Test runner configuration
+ * Tests run headlessly in jsdom, see test/setup.js for the browser APIs it lacks
+ */
+
+import { defineConfig } from "vitest/config";
+
+export default defineConfig({
+  test: {
+    environment: "jsdom",
+    include: ["test/**/*.test.js"],
+    setupFiles: ["test/setup.js"],
+    restoreMocks: true,
+  },
+});